@@ -3,10 +3,36 @@
 
 class WeedTracker {
     constructor() {
-        this.entries = this.loadEntries();
-        this.goals = this.loadGoals();
-        this.settings = this.loadSettings();
-        this.alternatives = this.loadAlternatives();
+        this.entries = [];
+        this.goals = this.getDefaultGoals();
+        this.settings = this.getDefaultSettings();
+        this.alternatives = this.getDefaultAlternatives();
+        this.cravings = []; // Logged urges, resisted or not
+        this.products = []; // Strains and products entries can be linked to
+        this.editingProductId = null;
+        this.purchases = []; // Recorded purchases, the real spend
+        this.stashes = []; // Inventory that entries draw down and purchases top up
+        this.editingStashId = null;
+        this.breaks = []; // Planned, running and past tolerance breaks
+        this.db = null; // IndexedDB connection (null when falling back to localStorage)
+        this.storedSchemaVersion = 0; // Schema version of the data currently in storage
+        this.encryptionConfig = null; // Salt, iterations and verifier when a passphrase is set
+        this.cryptoKey = null; // AES-GCM key derived from the passphrase once unlocked
+        this.passwordModalAction = null; // Callback for the pending password prompt
+        this.passwordModalOptions = {};
+        this.pendingImport = null; // Parsed import waiting for the user to choose replace or merge
+        this.takenBackupKeys = new Set(); // Backup keys already stored or handed out
+        this.pendingCsvImport = null; // Parsed CSV rows waiting for the column mapping
+        this.editingEntryId = null; // Entry loaded into the quick add form for editing
+        this.historyPage = 0;
+        this.filters = this.getDefaultFilters(); // Entry list filter, kept for the session only
+        this.undoStack = [];
+        this.redoStack = [];
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`; // Identifies this tab's sync messages
+        this.syncChannel = null;
+        this.syncQueue = Promise.resolve();
+        this.syncedEntries = null; // id -> stored JSON, for writing only what this tab changed
+        this.syncedRecords = {};
         this.charts = {}; // Store chart instances
         this.currentChartIndex = 0; // Track current chart in compact view (0 = Daily Usage Trend)
         this.isExpanded = false; // Track expanded state
@@ -23,12 +49,21 @@ class WeedTracker {
         this.init();
     }
 
-    init() {
+    async init() {
+        // Stored data has to be loaded before anything is rendered
+        await this.initializeStorage();
+        this.updateTaperWeek();
+
         this.setupEventListeners();
+        this.setupSync();
         this.setDefaultDateTime();
         this.updateDashboard();
         this.renderEntries();
         this.renderAlternatives();
+        this.renderCravings();
+        this.renderProductOptions();
+        this.renderPurchases();
+        this.renderStashOptions();
         this.initializeCharts(); // Initialize charts
         
         // Initialize dark mode after DOM is ready
@@ -36,9 +71,19 @@ class WeedTracker {
             this.initializeDarkMode();
         }, 100);
         
-        // Start timer to update time since last joint every minute
+        // Take scheduled backups now and check again every hour
+        this.checkScheduledBackup();
+        setInterval(() => {
+            this.checkScheduledBackup();
+        }, 60 * 60 * 1000);
+        
+        // Start timer to update time since last joint (and the abstinence counter) every minute
         setInterval(() => {
             this.updateTimeSinceLastJoint();
+            this.updateStreak();
+            if (this.updateTaperWeek()) {
+                this.updateGoalProgress();
+            }
         }, 60000); // Update every minute
         
         // Start timer to update time field in real-time (every second)
@@ -48,36 +93,159 @@ class WeedTracker {
     }
 
     // Data Management with Error Handling
-    loadEntries() {
-        return this.safeLocalStorageOperation(() => {
-            const saved = localStorage.getItem('weedTrackerEntries');
-            if (!saved) return [];
-            
-            const parsed = JSON.parse(saved);
-            if (!Array.isArray(parsed)) {
+    async initializeStorage() {
+        if (this.isIndexedDBAvailable()) {
+            try {
+                this.db = await this.openDatabase();
+            } catch (error) {
+                console.error('Failed to open IndexedDB, falling back to localStorage:', error);
+                this.db = null;
+            }
+        } else {
+            console.warn('IndexedDB is not available, falling back to localStorage');
+        }
+
+        // Encrypted data can only be read once the passphrase has been entered
+        this.encryptionConfig = await this.loadEncryptionConfig();
+        if (this.encryptionConfig) {
+            this.cryptoKey = await this.requestUnlock(this.encryptionConfig);
+        }
+
+        if (this.db) {
+            try {
+                await this.migrateLocalStorageData();
+            } catch (error) {
+                console.error('Failed to migrate localStorage data, falling back to localStorage:', error);
+                this.db = null;
+            }
+        }
+
+        this.storedSchemaVersion = await this.loadSchemaVersion();
+
+        this.entries = await this.loadEntries();
+        this.goals = await this.loadGoals();
+        this.settings = await this.loadSettings();
+        this.alternatives = await this.loadAlternatives();
+        this.cravings = await this.loadCravings();
+        this.products = await this.loadProducts();
+        this.purchases = await this.loadPurchases();
+        this.stashes = await this.loadStashes();
+        this.breaks = await this.loadBreaks();
+
+        // Persist the migrated data so the migrations only run once
+        if (this.storedSchemaVersion < this.getCurrentSchemaVersion()) {
+            // Undo history holds data in the old format, so it is dropped rather than migrated
+            await this.saveUndoHistory();
+            await this.saveEntries();
+            await this.saveGoals();
+            await this.saveSettings();
+            await this.saveSchemaVersion();
+        } else {
+            await this.loadUndoHistory();
+        }
+
+        this.rememberSyncedEntries(this.entries);
+        this.rememberSyncedRecord('goals', this.goals);
+        this.rememberSyncedRecord('settings', this.settings);
+        this.rememberSyncedRecord('cravings', this.cravings);
+        this.rememberSyncedRecord('products', this.products);
+        this.rememberSyncedRecord('purchases', this.purchases);
+        this.rememberSyncedRecord('stashes', this.stashes);
+        this.rememberSyncedRecord('breaks', this.breaks);
+
+        if (this.convertLegacyStash()) {
+            await this.saveStashes();
+            // Written whole, since a merge would keep the dropped stash fields
+            await this.writeStoredRecord('goals', this.goals);
+            this.rememberSyncedRecord('goals', this.goals);
+        }
+    }
+
+    async loadSchemaVersion() {
+        try {
+            const saved = await this.readStoredRecord('schemaVersion');
+            return typeof saved === 'number' ? saved : 0; // Data saved before versioning is version 0
+        } catch (error) {
+            console.error('Failed to load schema version:', error);
+            return 0;
+        }
+    }
+
+    async saveSchemaVersion() {
+        try {
+            await this.writeStoredRecord('schemaVersion', this.getCurrentSchemaVersion());
+            this.storedSchemaVersion = this.getCurrentSchemaVersion();
+        } catch (error) {
+            console.error('Failed to save schema version:', error);
+        }
+    }
+
+    async loadEntries() {
+        try {
+            const saved = this.migrateSchemaPart('entries', await this.readStoredEntries(), this.storedSchemaVersion);
+            if (!Array.isArray(saved)) {
                 console.warn('Invalid entries data found, resetting to empty array');
                 return [];
             }
             
             // Validate each entry and sort by consumption timestamp
-            const validEntries = parsed.filter(entry => this.validateEntry(entry));
+            const validEntries = saved.filter(entry => this.validateEntry(entry));
             return validEntries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-        }, []);
+        } catch (error) {
+            console.error('Failed to load entries:', error);
+            this.showMessage('Failed to load your entries. Please refresh the page.', 'error');
+            return [];
+        }
     }
 
-    saveEntries() {
-        this.safeLocalStorageOperation(() => {
-            localStorage.setItem('weedTrackerEntries', JSON.stringify(this.entries));
-        });
+    // Bulk save for changes like import and clear. Only entries this tab added, changed or
+    // removed are written, so entries saved by other tabs in the meantime are kept.
+    async saveEntries() {
+        try {
+            if (this.syncedEntries === null) {
+                await this.replaceStoredEntries(this.entries);
+            } else {
+                const currentIds = new Set(this.entries.map(entry => entry.id));
+                const upserts = this.entries.filter(entry => this.syncedEntries.get(entry.id) !== JSON.stringify(entry));
+                const deletedIds = [...this.syncedEntries.keys()].filter(id => !currentIds.has(id));
+                await this.updateStoredEntries(upserts, deletedIds);
+            }
+            this.rememberSyncedEntries(this.entries);
+            this.broadcastChange(['entries']);
+        } catch (error) {
+            console.error('Failed to save entries:', error);
+            this.showMessage('Failed to save entries. Please check your browser storage.', 'error');
+        }
+    }
+
+    async saveEntry(entry) {
+        try {
+            await this.writeStoredEntry(entry);
+            if (this.syncedEntries) this.syncedEntries.set(entry.id, JSON.stringify(entry));
+            this.broadcastChange(['entries']);
+        } catch (error) {
+            console.error('Failed to save entry:', error);
+            this.showMessage('Failed to save entry. Please check your browser storage.', 'error');
+        }
+    }
+
+    async removeSavedEntry(id) {
+        try {
+            await this.deleteStoredEntry(id);
+            if (this.syncedEntries) this.syncedEntries.delete(id);
+            this.broadcastChange(['entries']);
+        } catch (error) {
+            console.error('Failed to remove entry:', error);
+            this.showMessage('Failed to remove entry from storage. Please check your browser storage.', 'error');
+        }
     }
 
-    loadGoals() {
+    async loadGoals() {
         try {
-            const saved = localStorage.getItem('weedTrackerGoals');
+            const saved = this.migrateSchemaPart('goals', await this.readStoredRecord('goals'), this.storedSchemaVersion);
             if (!saved) return this.getDefaultGoals();
             
-            const parsed = JSON.parse(saved);
-            return this.validateGoals(parsed) ? parsed : this.getDefaultGoals();
+            return this.validateGoals(saved) ? saved : this.getDefaultGoals();
         } catch (error) {
             console.error('Failed to load goals:', error);
             this.showMessage('Failed to load goal settings. Using defaults.', 'error');
@@ -85,22 +253,22 @@ class WeedTracker {
         }
     }
 
-    saveGoals() {
+    async saveGoals() {
         try {
-            localStorage.setItem('weedTrackerGoals', JSON.stringify(this.goals));
+            this.goals = await this.mergeStoredRecord('goals', this.goals);
+            this.broadcastChange(['goals']);
         } catch (error) {
             console.error('Failed to save goals:', error);
             this.showMessage('Failed to save goal settings. Please check your browser storage.', 'error');
         }
     }
 
-    loadSettings() {
+    async loadSettings() {
         try {
-            const saved = localStorage.getItem('weedTrackerSettings');
+            const saved = this.migrateSchemaPart('settings', await this.readStoredRecord('settings'), this.storedSchemaVersion);
             if (!saved) return this.getDefaultSettings();
             
-            const parsed = JSON.parse(saved);
-            return this.validateSettings(parsed) ? parsed : this.getDefaultSettings();
+            return this.validateSettings(saved) ? saved : this.getDefaultSettings();
         } catch (error) {
             console.error('Failed to load settings:', error);
             this.showMessage('Failed to load settings. Using defaults.', 'error');
@@ -108,1519 +276,6878 @@ class WeedTracker {
         }
     }
 
-    saveSettings() {
+    async saveSettings() {
         try {
-            localStorage.setItem('weedTrackerSettings', JSON.stringify(this.settings));
+            this.settings = await this.mergeStoredRecord('settings', this.settings);
+            this.broadcastChange(['settings']);
         } catch (error) {
             console.error('Failed to save settings:', error);
             this.showMessage('Failed to save settings. Please check your browser storage.', 'error');
         }
     }
 
-    loadAlternatives() {
+    async loadAlternatives() {
         try {
-            const saved = localStorage.getItem('weedTrackerAlternatives');
+            const saved = await this.readStoredRecord('alternatives');
             if (!saved) return this.getDefaultAlternatives();
             
-            const parsed = JSON.parse(saved);
-            return this.validateAlternatives(parsed) ? parsed : this.getDefaultAlternatives();
+            return this.validateAlternatives(saved) ? saved : this.getDefaultAlternatives();
         } catch (error) {
             console.error('Failed to load alternatives:', error);
             return this.getDefaultAlternatives();
         }
     }
 
-    saveAlternatives() {
+    async saveAlternatives() {
         try {
-            localStorage.setItem('weedTrackerAlternatives', JSON.stringify(this.alternatives));
+            await this.writeStoredRecord('alternatives', this.alternatives);
+            this.broadcastChange(['alternatives']);
         } catch (error) {
             console.error('Failed to save alternatives:', error);
             // Don't show error for alternatives as it's not critical
         }
     }
 
-    // Default data structures
-    getDefaultGoals() {
-        return {
-            weeklyAmount: 0,
-            goalType: 'reduce',
-            startDate: null,
-            stashAmount: 0,
-            stashStartDate: null
-        };
+    async loadCravings() {
+        try {
+            const saved = await this.readStoredRecord('cravings');
+            if (!saved) return [];
+
+            return this.validateCravings(saved) ? saved : [];
+        } catch (error) {
+            console.error('Failed to load cravings:', error);
+            this.showMessage('Failed to load your craving log.', 'error');
+            return [];
+        }
     }
 
-    getDefaultSettings() {
-        return {
-            pricePerGram: 10,
-            currency: 'USD'
-        };
+    async saveCravings() {
+        try {
+            this.cravings = await this.mergeStoredRecord('cravings', this.cravings);
+            this.broadcastChange(['cravings']);
+        } catch (error) {
+            console.error('Failed to save cravings:', error);
+            this.showMessage('Failed to save your craving log. Please check your browser storage.', 'error');
+        }
     }
 
-    getDefaultAlternatives() {
-        return {
-            triedItems: [],
-            lastRefresh: null
-        };
+    async loadProducts() {
+        try {
+            const saved = await this.readStoredRecord('products');
+            if (!saved) return [];
+
+            return this.validateProducts(saved) ? saved : [];
+        } catch (error) {
+            console.error('Failed to load products:', error);
+            this.showMessage('Failed to load your product catalog.', 'error');
+            return [];
+        }
     }
 
-    // Dark Mode Management
-    loadDarkMode() {
+    async saveProducts() {
         try {
-            const saved = localStorage.getItem('weedTrackerDarkMode');
-            if (saved === null) {
-                // Default to system preference
-                return window.matchMedia('(prefers-color-scheme: dark)').matches;
-            }
-            return saved === 'true';
+            this.products = await this.mergeStoredRecord('products', this.products);
+            this.broadcastChange(['products']);
         } catch (error) {
-            console.error('Failed to load dark mode preference:', error);
-            return false; // Default to light mode
+            console.error('Failed to save products:', error);
+            this.showMessage('Failed to save your product catalog. Please check your browser storage.', 'error');
         }
     }
 
-    saveDarkMode() {
+    async loadPurchases() {
         try {
-            localStorage.setItem('weedTrackerDarkMode', this.darkMode.toString());
+            const saved = await this.readStoredRecord('purchases');
+            if (!saved) return [];
+
+            return this.validatePurchases(saved) ? saved : [];
         } catch (error) {
-            console.error('Failed to save dark mode preference:', error);
+            console.error('Failed to load purchases:', error);
+            this.showMessage('Failed to load your purchase ledger.', 'error');
+            return [];
         }
     }
 
-    initializeDarkMode() {
-        console.log('Initializing dark mode, current state:', this.darkMode);
-        this.applyDarkMode(this.darkMode);
-        this.updateDarkModeIcon();
-        console.log('Dark mode initialized');
+    async savePurchases() {
+        try {
+            this.purchases = await this.mergeStoredRecord('purchases', this.purchases);
+            this.broadcastChange(['purchases']);
+        } catch (error) {
+            console.error('Failed to save purchases:', error);
+            this.showMessage('Failed to save your purchase ledger. Please check your browser storage.', 'error');
+        }
     }
 
-    toggleDarkMode() {
-        console.log('Toggling dark mode from:', this.darkMode);
-        this.darkMode = !this.darkMode;
-        console.log('New dark mode state:', this.darkMode);
-        this.applyDarkMode(this.darkMode);
-        this.updateDarkModeIcon();
-        this.saveDarkMode();
-        this.updateChartsForDarkMode(); // Update chart colors
-        this.showMessage(this.darkMode ? 'Dark mode enabled' : 'Light mode enabled', 'success');
+    async loadStashes() {
+        try {
+            const saved = await this.readStoredRecord('stashes');
+            if (!saved) return [];
+
+            return this.validateStashes(saved) ? saved : [];
+        } catch (error) {
+            console.error('Failed to load stashes:', error);
+            this.showMessage('Failed to load your stashes.', 'error');
+            return [];
+        }
     }
 
-    applyDarkMode(isDark) {
-        const body = document.body;
-        console.log('Applying dark mode:', isDark);
-        if (isDark) {
-            body.setAttribute('data-theme', 'dark');
-            console.log('Added data-theme="dark" to body');
-        } else {
-            body.removeAttribute('data-theme');
-            console.log('Removed data-theme attribute from body');
+    async saveStashes() {
+        try {
+            this.stashes = await this.mergeStoredRecord('stashes', this.stashes);
+            this.broadcastChange(['stashes']);
+        } catch (error) {
+            console.error('Failed to save stashes:', error);
+            this.showMessage('Failed to save your stashes. Please check your browser storage.', 'error');
         }
     }
 
-    updateDarkModeIcon() {
-        const icon = document.getElementById('darkModeIcon');
-        console.log('Updating dark mode icon, found element:', !!icon);
-        if (icon) {
-            const newClass = this.darkMode ? 'fas fa-sun' : 'fas fa-moon';
-            icon.className = newClass;
-            console.log('Updated icon class to:', newClass);
-        } else {
-            console.error('Dark mode icon element not found!');
+    async loadBreaks() {
+        try {
+            const saved = await this.readStoredRecord('breaks');
+            if (!saved) return [];
+
+            return this.validateBreaks(saved) ? saved : [];
+        } catch (error) {
+            console.error('Failed to load breaks:', error);
+            this.showMessage('Failed to load your tolerance breaks.', 'error');
+            return [];
         }
     }
 
-    updateChartsForDarkMode() {
-        // Destroy and recreate charts with new colors
-        Object.values(this.charts).forEach(chart => {
-            if (chart && typeof chart.destroy === 'function') {
-                try {
-                    chart.destroy();
-                } catch (error) {
-                    console.error('Error destroying chart:', error);
-                }
-            }
-        });
-        this.charts = {};
-        
-        // Recreate charts with new color scheme
-        this.initializeCharts();
+    async saveBreaks() {
+        try {
+            this.breaks = await this.mergeStoredRecord('breaks', this.breaks);
+            this.broadcastChange(['breaks']);
+        } catch (error) {
+            console.error('Failed to save breaks:', error);
+            this.showMessage('Failed to save your tolerance breaks. Please check your browser storage.', 'error');
+        }
     }
 
-    getChartColors() {
-        if (this.darkMode) {
-            return {
-                primary: '#81c784',
-                secondary: '#4fc3f7',
-                success: '#66bb6a',
-                danger: '#ef5350',
-                warning: '#ffb74d',
-                info: '#42a5f5',
-                accent: '#9c27b0',
-                background: 'rgba(129, 199, 132, 0.1)',
-                border: '#81c784',
-                text: '#e2e8f0',
-                grid: 'rgba(255, 255, 255, 0.1)'
+    // Storage Backend (IndexedDB with localStorage fallback)
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open('weedTracker', 1);
+
+            request.onupgradeneeded = (event) => {
+                this.upgradeDatabase(request.result, event.oldVersion);
             };
-        } else {
-            return {
-                primary: '#667eea',
-                secondary: '#764ba2',
-                success: '#48bb78',
-                danger: '#e53e3e',
-                warning: '#ed8936',
-                info: '#3182ce',
-                accent: '#9f7aea',
-                background: 'rgba(102, 126, 234, 0.1)',
-                border: '#667eea',
-                text: '#333',
-                grid: 'rgba(0, 0, 0, 0.1)'
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version in another tab upgrade the schema
+                db.onversionchange = () => db.close();
+                resolve(db);
             };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => console.warn('IndexedDB upgrade blocked by another open tab');
+        });
+    }
+
+    upgradeDatabase(db, oldVersion) {
+        if (oldVersion < 1) {
+            const entriesStore = db.createObjectStore('entries', { keyPath: 'id' });
+            entriesStore.createIndex('timestamp', 'timestamp');
+            entriesStore.createIndex('method', 'method');
+            db.createObjectStore('records', { keyPath: 'key' }); // goals, settings, alternatives, schemaVersion, encryption
+            db.createObjectStore('backups', { keyPath: 'key' });
         }
     }
 
-    // Data Validation Methods
-    validateEntry(entry) {
-        try {
-            // Check if entry is an object
-            if (!entry || typeof entry !== 'object') {
-                return false;
-            }
+    // Copy the legacy localStorage keys into IndexedDB, then free up the localStorage quota
+    async migrateLocalStorageData() {
+        if (!this.isLocalStorageAvailable()) {
+            return;
+        }
 
-            // Validate required fields
-            if (!entry.id || typeof entry.id !== 'number') {
-                return false;
-            }
+        const migrated = [];
+        const records = [];
+        const backups = [];
+        let entries = [];
 
-            if (!entry.amount || typeof entry.amount !== 'number' || entry.amount <= 0) {
-                return false;
-            }
+        // Legacy data is brought up to the current schema while it is copied over
+        const legacyVersion = this.readLegacyItem(this.getLocalStorageKey('schemaVersion'));
+        const fromVersion = typeof legacyVersion === 'number' ? legacyVersion : 0;
 
-            if (!entry.method || typeof entry.method !== 'string') {
-                return false;
-            }
+        for (const name of ['entries', 'goals', 'settings', 'alternatives', 'cravings', 'products', 'purchases', 'stashes', 'breaks']) {
+            const key = this.getLocalStorageKey(name);
+            const parsed = await this.unsealValue(this.readLegacyItem(key));
+            if (parsed === null) continue;
 
-            // Validate optional fields
-            if (entry.notes && typeof entry.notes !== 'string') {
-                return false;
+            if (name === 'entries') {
+                const migratedEntries = this.migrateSchemaPart('entries', parsed, fromVersion);
+                if (Array.isArray(migratedEntries)) {
+                    entries = migratedEntries.filter(entry => this.validateEntry(entry));
+                }
+            } else {
+                const value = ['alternatives', 'cravings', 'products', 'purchases', 'stashes', 'breaks'].includes(name) ? parsed : this.migrateSchemaPart(name, parsed, fromVersion);
+                records.push({ name: name, value: value });
             }
+            migrated.push(key);
+        }
 
-            if (entry.mood && typeof entry.mood !== 'string') {
-                return false;
+        if (migrated.length > 0) {
+            records.push({ name: 'schemaVersion', value: this.getCurrentSchemaVersion() });
+            if (legacyVersion !== null) {
+                migrated.push(this.getLocalStorageKey('schemaVersion'));
             }
+        }
 
-            if (!entry.timestamp || !this.isValidDate(entry.timestamp)) {
-                return false;
-            }
+        const legacyEncryption = this.readLegacyItem(this.getLocalStorageKey('encryption'));
+        if (legacyEncryption !== null) {
+            records.push({ name: 'encryption', value: legacyEncryption });
+            migrated.push(this.getLocalStorageKey('encryption'));
+        }
 
-            return true;
-        } catch (error) {
-            console.error('Entry validation error:', error);
-            return false;
+        for (const key of this.getLocalStorageBackupKeys()) {
+            const parsed = await this.unsealValue(this.readLegacyItem(key));
+            if (parsed === null) continue;
+
+            backups.push({ key: key, data: parsed });
+            migrated.push(key);
         }
-    }
 
-    validateGoals(goals) {
-        try {
-            if (!goals || typeof goals !== 'object') {
-                return false;
-            }
+        if (migrated.length === 0) {
+            return;
+        }
 
-            // Validate required fields
-            if (typeof goals.weeklyAmount !== 'number' || goals.weeklyAmount < 0) {
-                return false;
-            }
+        // Seal everything up front: an IndexedDB transaction cannot stay open across WebCrypto calls
+        const sealedEntries = await Promise.all(entries.map(entry => this.sealEntry(entry)));
+        const sealedRecords = await Promise.all(records.map(record => this.sealRecord(record.name, record.value)));
+        const sealedBackups = await Promise.all(backups.map(async backup => ({ key: backup.key, data: await this.sealValue(backup.data) })));
 
-            if (!goals.goalType || !['reduce', 'maintain', 'quit', 'stash'].includes(goals.goalType)) {
-                return false;
-            }
+        const transaction = this.db.transaction(['entries', 'records', 'backups'], 'readwrite');
+        sealedEntries.forEach(entry => transaction.objectStore('entries').put(entry));
+        sealedRecords.forEach(record => transaction.objectStore('records').put(record));
+        sealedBackups.forEach(backup => transaction.objectStore('backups').put(backup));
+        await this.idbTransactionComplete(transaction);
 
-            if (goals.stashAmount !== undefined && (typeof goals.stashAmount !== 'number' || goals.stashAmount < 0)) {
-                return false;
-            }
+        migrated.forEach(key => localStorage.removeItem(key));
+    }
 
-            return true;
+    readLegacyItem(key) {
+        const saved = localStorage.getItem(key);
+        if (saved === null) return null;
+
+        try {
+            return JSON.parse(saved);
         } catch (error) {
-            console.error('Goals validation error:', error);
-            return false;
+            console.warn(`Skipping unreadable localStorage key '${key}':`, error);
+            return null;
         }
     }
 
-    validateSettings(settings) {
-        try {
-            if (!settings || typeof settings !== 'object') {
-                return false;
-            }
-
-            if (typeof settings.pricePerGram !== 'number' || settings.pricePerGram < 0) {
-                return false;
-            }
+    getLocalStorageKey(name) {
+        const keyMap = {
+            'entries': 'weedTrackerEntries',
+            'goals': 'weedTrackerGoals',
+            'settings': 'weedTrackerSettings',
+            'alternatives': 'weedTrackerAlternatives',
+            'schemaVersion': 'weedTrackerSchemaVersion',
+            'encryption': 'weedTrackerEncryption',
+            'cravings': 'weedTrackerCravings',
+            'products': 'weedTrackerProducts',
+            'purchases': 'weedTrackerPurchases',
+            'stashes': 'weedTrackerStashes',
+            'breaks': 'weedTrackerBreaks',
+            'undoHistory': 'weedTrackerUndoHistory',
+            'sync': 'weedTrackerSync' // Change notifications for other tabs, not data
+        };
+        return keyMap[name];
+    }
 
-            if (!settings.currency || typeof settings.currency !== 'string') {
-                return false;
+    getLocalStorageBackupKeys() {
+        const backupKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith('weedTrackerBackup_')) {
+                backupKeys.push(key);
             }
-
-            return true;
-        } catch (error) {
-            console.error('Settings validation error:', error);
-            return false;
         }
+        return backupKeys;
     }
 
-    validateAlternatives(alternatives) {
-        try {
-            if (!alternatives || typeof alternatives !== 'object') {
-                return false;
-            }
+    idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
 
-            if (!Array.isArray(alternatives.triedItems)) {
-                return false;
-            }
+    idbTransactionComplete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
 
-            return true;
-        } catch (error) {
-            console.error('Alternatives validation error:', error);
-            return false;
-        }
+    // Records that have to stay readable before the passphrase is entered
+    isPlaintextRecord(name) {
+        return ['schemaVersion', 'encryption'].includes(name);
     }
 
-    isValidDate(dateString) {
-        try {
-            const date = new Date(dateString);
-            return date instanceof Date && !isNaN(date);
-        } catch (error) {
-            return false;
-        }
+    async sealRecord(name, value) {
+        return { key: name, value: this.isPlaintextRecord(name) ? value : await this.sealValue(value) };
     }
 
-    // Utility function to check localStorage availability
-    isLocalStorageAvailable() {
-        try {
-            const test = '__localStorage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (error) {
-            return false;
-        }
+    // Encrypted entries keep only their id in the clear so they can still be written one by one
+    async sealEntry(entry) {
+        if (!this.cryptoKey) return entry;
+        return { id: entry.id, ...(await this.sealValue(entry)) };
     }
 
-    // Enhanced error handling for localStorage operations
-    safeLocalStorageOperation(operation, fallback = null) {
-        if (!this.isLocalStorageAvailable()) {
-            console.warn('localStorage is not available');
-            return fallback;
+    async readStoredEntries() {
+        if (this.db) {
+            const transaction = this.db.transaction('entries', 'readonly');
+            const store = transaction.objectStore('entries');
+            // Encrypted records have no timestamp field, so they are not in the timestamp index
+            const records = await this.idbRequest(this.cryptoKey ? store.getAll() : store.index('timestamp').getAll());
+            return Promise.all(records.map(record => this.unsealValue(record)));
         }
 
-        try {
-            return operation();
-        } catch (error) {
-            console.error('localStorage operation failed:', error);
-            return fallback;
-        }
+        const saved = this.safeLocalStorageOperation(() => JSON.parse(localStorage.getItem('weedTrackerEntries')), null);
+        return saved === null ? [] : this.unsealValue(saved);
     }
 
-    // Event Listeners
-    setupEventListeners() {
-        // Quick add form
-        document.getElementById('quickAddForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addEntry();
-        });
-
-        // Goal form
-        document.getElementById('goalForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.saveGoal();
-        });
-
-        // Time input change listener
-        const timeInput = document.getElementById('time');
-        if (timeInput) {
-            timeInput.addEventListener('input', () => {
-                this.timeManuallyChanged = true;
-            });
+    async writeStoredEntry(entry) {
+        if (this.db) {
+            const sealed = await this.sealEntry(entry);
+            const transaction = this.db.transaction('entries', 'readwrite');
+            transaction.objectStore('entries').put(sealed);
+            return this.idbTransactionComplete(transaction);
         }
 
-        // Modal close events
-        window.addEventListener('click', (e) => {
-            if (e.target.classList.contains('modal')) {
-                e.target.style.display = 'none';
-            }
-        });
+        // localStorage has no per-entry writes, so merge into the latest stored array
+        const stored = await this.readStoredEntries();
+        const merged = (Array.isArray(stored) ? stored : []).filter(saved => saved.id !== entry.id);
+        merged.push(entry);
+        localStorage.setItem('weedTrackerEntries', JSON.stringify(await this.sealValue(merged)));
+    }
 
-        // Dark mode toggle
-        const darkModeToggle = document.getElementById('darkModeToggle');
-        console.log('Setting up dark mode toggle, found element:', !!darkModeToggle);
-        if (darkModeToggle) {
-            darkModeToggle.addEventListener('click', () => {
-                console.log('Dark mode toggle clicked!');
-                this.toggleDarkMode();
-            });
-            console.log('Dark mode toggle event listener added');
-        } else {
-            console.error('Dark mode toggle button not found!');
+    async deleteStoredEntry(id) {
+        if (this.db) {
+            const transaction = this.db.transaction('entries', 'readwrite');
+            transaction.objectStore('entries').delete(id);
+            return this.idbTransactionComplete(transaction);
         }
-    }
 
-    // Entry Management with Validation and Sanitization
-    addEntry() {
-        try {
-            const form = this.getElementSafely('quickAddForm');
-            if (!form) {
-                this.showMessage('Form not found. Please refresh the page.', 'error');
-                return;
-            }
-            
-            // Get form elements safely
-            const amountInput = this.getElementSafely('amount');
-            const methodInput = this.getElementSafely('method');
-            const notesInput = this.getElementSafely('notes');
-            const moodInput = this.getElementSafely('mood');
-            const timeInput = this.getElementSafely('time');
+        const stored = await this.readStoredEntries();
+        const remaining = (Array.isArray(stored) ? stored : []).filter(saved => saved.id !== id);
+        localStorage.setItem('weedTrackerEntries', JSON.stringify(await this.sealValue(remaining)));
+    }
 
-            if (!amountInput || !methodInput || !timeInput) {
-                this.showMessage('Required form elements not found. Please refresh the page.', 'error');
-                return;
-            }
-            
-            // Validate and sanitize form data
-            const amount = parseFloat(amountInput.value);
-            const method = methodInput.value;
-            const notes = this.sanitizeInput(notesInput.value.trim());
-            const mood = moodInput.value;
-            const timestamp = timeInput.value;
+    async replaceStoredEntries(entries) {
+        if (this.db) {
+            const sealedEntries = await Promise.all(entries.map(entry => this.sealEntry(entry)));
+            const transaction = this.db.transaction('entries', 'readwrite');
+            const store = transaction.objectStore('entries');
+            store.clear();
+            sealedEntries.forEach(entry => store.put(entry));
+            return this.idbTransactionComplete(transaction);
+        }
 
-            // Validate required fields
-            if (!amount || amount <= 0 || amount > 1000) { // Reasonable upper limit
-                this.showMessage('Please enter a valid amount between 0.1 and 1000 grams.', 'error');
-                return;
-            }
+        localStorage.setItem('weedTrackerEntries', JSON.stringify(await this.sealValue(entries)));
+    }
 
-            if (!method || !['joint', 'bong', 'pipe', 'cigarette', 'vape', 'edible', 'other'].includes(method)) {
-                this.showMessage('Please select a valid consumption method.', 'error');
-                return;
-            }
+    async updateStoredEntries(upserts, deletedIds) {
+        if (this.db) {
+            const sealedEntries = await Promise.all(upserts.map(entry => this.sealEntry(entry)));
+            const transaction = this.db.transaction('entries', 'readwrite');
+            const store = transaction.objectStore('entries');
+            deletedIds.forEach(id => store.delete(id));
+            sealedEntries.forEach(entry => store.put(entry));
+            return this.idbTransactionComplete(transaction);
+        }
 
-            if (!timestamp || !this.isValidDate(timestamp)) {
-                this.showMessage('Please enter a valid date and time.', 'error');
-                return;
-            }
+        const changedIds = new Set([...deletedIds, ...upserts.map(entry => entry.id)]);
+        const stored = await this.readStoredEntries();
+        const merged = (Array.isArray(stored) ? stored : []).filter(saved => !changedIds.has(saved.id));
+        localStorage.setItem('weedTrackerEntries', JSON.stringify(await this.sealValue([...merged, ...upserts])));
+    }
 
-            // Validate mood if provided
-            if (mood && !['great', 'good', 'neutral', 'bad', 'terrible'].includes(mood)) {
-                this.showMessage('Please select a valid mood option.', 'error');
-                return;
-            }
+    async readStoredRecord(name) {
+        if (this.db) {
+            const transaction = this.db.transaction('records', 'readonly');
+            const record = await this.idbRequest(transaction.objectStore('records').get(name));
+            return record ? this.unsealValue(record.value) : null;
+        }
 
-            const entry = {
-                id: Date.now(),
-                amount: amount,
-                method: method,
-                notes: notes,
-                mood: mood,
-                timestamp: timestamp,
-                createdAt: new Date().toISOString()
-            };
+        const saved = localStorage.getItem(this.getLocalStorageKey(name));
+        return saved ? this.unsealValue(JSON.parse(saved)) : null;
+    }
 
-            // Validate the complete entry
-            if (!this.validateEntry(entry)) {
-                this.showMessage('Invalid entry data. Please check your input.', 'error');
-                return;
-            }
+    async writeStoredRecord(name, value) {
+        const sealed = await this.sealRecord(name, value);
 
-            this.entries.push(entry);
-            // Sort entries by consumption timestamp (most recent first)
-            this.entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            this.saveEntries();
-            
-            // Reset form
-            form.reset();
-            this.setDefaultDateTime();
-            this.timeManuallyChanged = false; // Reset the manual change flag
-            
-            // Update UI
-            this.updateDashboard();
-            this.renderEntries();
-            this.updateCompactChart(); // Update compact chart specifically
-            
-            // Show success message
-            this.showMessage('Entry added successfully!', 'success');
-        } catch (error) {
-            console.error('Error adding entry:', error);
-            this.showMessage('Failed to add entry. Please try again.', 'error');
+        if (this.db) {
+            const transaction = this.db.transaction('records', 'readwrite');
+            transaction.objectStore('records').put(sealed);
+            return this.idbTransactionComplete(transaction);
         }
-    }
-
-    deleteEntry(id) {
-        try {
-            if (!id || typeof id !== 'number') {
-                this.showMessage('Invalid entry ID.', 'error');
-                return;
-            }
 
-            const initialLength = this.entries.length;
-            this.entries = this.entries.filter(entry => entry.id !== id);
-            
-            if (this.entries.length === initialLength) {
-                this.showMessage('Entry not found.', 'error');
-                return;
-            }
+        localStorage.setItem(this.getLocalStorageKey(name), JSON.stringify(sealed.value));
+    }
 
-            this.saveEntries();
-            this.updateDashboard();
-            this.renderEntries();
-            this.updateCompactChart(); // Update compact chart specifically
-            this.showMessage('Entry deleted successfully!', 'success');
-        } catch (error) {
-            console.error('Error deleting entry:', error);
-            this.showMessage('Failed to delete entry. Please try again.', 'error');
+    async deleteStoredRecord(name) {
+        if (this.db) {
+            const transaction = this.db.transaction('records', 'readwrite');
+            transaction.objectStore('records').delete(name);
+            return this.idbTransactionComplete(transaction);
         }
+
+        localStorage.removeItem(this.getLocalStorageKey(name));
     }
 
-    // Dashboard Updates with Error Handling
-    updateDashboard() {
-        try {
-            this.updateTodayStats();
-            this.updateWeekStats();
-            this.updateGoalProgress();
-            this.updateStreak();
-            this.updateTimeSinceLastJoint();
-        } catch (error) {
-            console.error('Error updating dashboard:', error);
-            this.showMessage('Failed to update dashboard. Please refresh the page.', 'error');
+    async clearStoredData() {
+        if (this.db) {
+            const transaction = this.db.transaction(['entries', 'records'], 'readwrite');
+            transaction.objectStore('entries').clear();
+            transaction.objectStore('records').delete('goals');
+            transaction.objectStore('records').delete('alternatives');
+            transaction.objectStore('records').delete('cravings');
+            transaction.objectStore('records').delete('products');
+            transaction.objectStore('records').delete('purchases');
+            transaction.objectStore('records').delete('stashes');
+            transaction.objectStore('records').delete('breaks');
+            return this.idbTransactionComplete(transaction);
         }
-    }
 
-    updateTodayStats() {
-        const now = new Date();
-        const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
-        
-        const last24HoursEntries = this.entries.filter(entry => {
-            const entryTime = new Date(entry.timestamp);
-            return entryTime >= twentyFourHoursAgo && entryTime <= now;
+        ['entries', 'goals', 'alternatives', 'cravings', 'products', 'purchases', 'stashes', 'breaks'].forEach(name => {
+            localStorage.removeItem(this.getLocalStorageKey(name));
         });
+    }
 
-        const last24HoursCount = last24HoursEntries.length;
-        const last24HoursAmount = last24HoursEntries.reduce((sum, entry) => sum + entry.amount, 0);
-        const last24HoursCost = (last24HoursAmount * this.settings.pricePerGram).toFixed(2);
+    // Backups are returned newest first
+    async readBackups() {
+        if (this.db) {
+            const transaction = this.db.transaction('backups', 'readonly');
+            const backups = await this.idbRequest(transaction.objectStore('backups').getAll());
+            const unsealed = await Promise.all(backups.map(async backup => ({ key: backup.key, data: await this.unsealValue(backup.data) })));
+            return unsealed.sort((a, b) => b.key.localeCompare(a.key));
+        }
 
-        document.getElementById('todayCount').textContent = last24HoursCount;
-        document.getElementById('todayAmount').textContent = last24HoursAmount.toFixed(1) + 'g';
-        document.getElementById('todayCost').textContent = '$' + last24HoursCost;
+        const keys = this.safeLocalStorageOperation(() => this.getLocalStorageBackupKeys().sort().reverse(), []);
+        return Promise.all(keys.map(async key => ({ key: key, data: await this.unsealValue(JSON.parse(localStorage.getItem(key))) })));
     }
 
-    updateWeekStats() {
-        const now = new Date();
-        // Calculate last 7 days instead of current week
-        const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    async writeBackup(key, data) {
+        const sealed = await this.sealValue(data);
 
-        const weekEntries = this.entries.filter(entry => {
-            const entryDate = new Date(entry.timestamp);
-            return entryDate >= sevenDaysAgo && entryDate <= now;
-        });
+        if (this.db) {
+            const transaction = this.db.transaction('backups', 'readwrite');
+            transaction.objectStore('backups').put({ key: key, data: sealed });
+            return this.idbTransactionComplete(transaction);
+        }
 
-        const weekCount = weekEntries.length;
-        const weekAmount = weekEntries.reduce((sum, entry) => sum + entry.amount, 0);
-        const weekAvg = weekCount > 0 ? weekAmount / 7 : 0;
+        localStorage.setItem(key, JSON.stringify(sealed));
+    }
 
-        document.getElementById('weekCount').textContent = weekCount;
-        document.getElementById('weekAmount').textContent = weekAmount.toFixed(1) + 'g';
-        document.getElementById('weekAvg').textContent = weekAvg.toFixed(1) + 'g';
+    async deleteBackup(key) {
+        if (this.db) {
+            const transaction = this.db.transaction('backups', 'readwrite');
+            transaction.objectStore('backups').delete(key);
+            return this.idbTransactionComplete(transaction);
+        }
+
+        localStorage.removeItem(key);
     }
 
-    updateGoalProgress() {
-        if (this.goals.goalType === 'stash') {
-            this.updateStashProgress();
-            return;
+    // Re-encrypt every stored entry, record and backup with a new key (null stores plaintext)
+    async rewriteStoredData(newKey, encryptionConfig) {
+        const backups = await this.readBackups();
+        const records = [
+            { name: 'goals', value: this.goals },
+            { name: 'settings', value: this.settings },
+            { name: 'alternatives', value: this.alternatives },
+            { name: 'cravings', value: this.cravings },
+            { name: 'products', value: this.products },
+            { name: 'purchases', value: this.purchases },
+            { name: 'stashes', value: this.stashes },
+            { name: 'breaks', value: this.breaks },
+            { name: 'undoHistory', value: this.getUndoHistoryRecord() }
+        ];
+        const previousKey = this.cryptoKey;
+        this.cryptoKey = newKey;
+
+        try {
+            if (this.db) {
+                const sealedEntries = await Promise.all(this.entries.map(entry => this.sealEntry(entry)));
+                const sealedRecords = await Promise.all(records.map(record => this.sealRecord(record.name, record.value)));
+                const sealedBackups = await Promise.all(backups.map(async backup => ({ key: backup.key, data: await this.sealValue(backup.data) })));
+
+                // Everything is swapped in one transaction so a failure leaves the old data intact
+                const transaction = this.db.transaction(['entries', 'records', 'backups'], 'readwrite');
+                const entriesStore = transaction.objectStore('entries');
+                const recordsStore = transaction.objectStore('records');
+                const backupsStore = transaction.objectStore('backups');
+                entriesStore.clear();
+                sealedEntries.forEach(entry => entriesStore.put(entry));
+                sealedRecords.forEach(record => recordsStore.put(record));
+                backupsStore.clear();
+                sealedBackups.forEach(backup => backupsStore.put(backup));
+                if (encryptionConfig) {
+                    recordsStore.put({ key: 'encryption', value: encryptionConfig });
+                } else {
+                    recordsStore.delete('encryption');
+                }
+                await this.idbTransactionComplete(transaction);
+            } else {
+                await this.replaceStoredEntries(this.entries);
+                for (const record of records) {
+                    await this.writeStoredRecord(record.name, record.value);
+                }
+                for (const backup of backups) {
+                    await this.writeBackup(backup.key, backup.data);
+                }
+                if (encryptionConfig) {
+                    await this.writeStoredRecord('encryption', encryptionConfig);
+                } else {
+                    await this.deleteStoredRecord('encryption');
+                }
+            }
+        } catch (error) {
+            this.cryptoKey = previousKey;
+            throw error;
         }
 
-        if (!this.goals.weeklyAmount || this.goals.weeklyAmount <= 0) {
-            document.getElementById('goalProgress').style.width = '0%';
-            document.getElementById('goalText').textContent = 'Set a weekly goal to track progress';
+        this.broadcastChange(['encryption']);
+    }
+
+    // Cross-Tab Sync (BroadcastChannel, with the storage event as fallback)
+    setupSync() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.syncChannel = new BroadcastChannel('weedTracker');
+            this.syncChannel.onmessage = (event) => this.handleSyncMessage(event.data);
             return;
         }
 
-        const now = new Date();
-        // Calculate last 7 days instead of current week
-        const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-
-        const weekEntries = this.entries.filter(entry => {
-            const entryDate = new Date(entry.timestamp);
-            return entryDate >= sevenDaysAgo && entryDate <= now;
+        window.addEventListener('storage', (event) => {
+            if (event.key === this.getLocalStorageKey('sync') && event.newValue) {
+                this.handleSyncMessage(this.safeLocalStorageOperation(() => JSON.parse(event.newValue), null));
+            }
         });
+    }
 
-        const weekAmount = weekEntries.reduce((sum, entry) => sum + entry.amount, 0);
-        const progress = Math.min((weekAmount / this.goals.weeklyAmount) * 100, 100);
+    broadcastChange(parts) {
+        const message = { tabId: this.tabId, parts: parts, sentAt: Date.now() };
 
-        document.getElementById('goalProgress').style.width = progress + '%';
-        
-        const remaining = this.goals.weeklyAmount - weekAmount;
-        if (remaining > 0) {
-            document.getElementById('goalText').textContent = `${remaining.toFixed(1)}g remaining this week`;
-        } else {
-            document.getElementById('goalText').textContent = `Goal exceeded by ${Math.abs(remaining).toFixed(1)}g`;
+        try {
+            if (this.syncChannel) {
+                this.syncChannel.postMessage(message);
+            } else if (this.isLocalStorageAvailable()) {
+                localStorage.setItem(this.getLocalStorageKey('sync'), JSON.stringify(message));
+            }
+        } catch (error) {
+            console.error('Failed to notify other tabs:', error);
         }
     }
 
-    updateStashProgress() {
-        if (!this.goals.stashAmount || this.goals.stashAmount <= 0) {
-            document.getElementById('goalProgress').style.width = '0%';
-            document.getElementById('goalText').textContent = 'Set a stash goal to track your weed supply';
+    handleSyncMessage(message) {
+        if (!message || message.tabId === this.tabId || !Array.isArray(message.parts)) {
             return;
         }
 
-        // Calculate total usage since stash start date
-        const stashStartDate = this.goals.stashStartDate ? new Date(this.goals.stashStartDate) : new Date();
-        const entriesSinceStash = this.entries.filter(entry => {
-            const entryDate = new Date(entry.timestamp);
-            return entryDate >= stashStartDate;
-        });
+        // Reloads run one at a time so a burst of messages can't interleave
+        this.syncQueue = this.syncQueue
+            .then(() => this.reloadFromStorage(message.parts))
+            .catch(error => console.error('Failed to sync with another tab:', error));
+    }
 
-        const totalUsed = entriesSinceStash.reduce((sum, entry) => sum + entry.amount, 0);
-        const remainingStash = this.goals.stashAmount - totalUsed;
-        const progress = Math.min((totalUsed / this.goals.stashAmount) * 100, 100);
+    async reloadFromStorage(parts) {
+        // The key changed in another tab, so this tab has to unlock again
+        if (parts.includes('encryption')) {
+            window.location.reload();
+            return;
+        }
 
-        document.getElementById('goalProgress').style.width = progress + '%';
-        
-        if (remainingStash > 0) {
-            document.getElementById('goalText').textContent = `${remainingStash.toFixed(1)}g left in stash`;
+        if (parts.includes('entries')) {
+            this.entries = await this.loadEntries();
+            this.rememberSyncedEntries(this.entries);
+
+            if (this.editingEntryId !== null && !this.entries.some(entry => entry.id === this.editingEntryId)) {
+                this.cancelEditEntry();
+            }
+        }
+        if (parts.includes('goals')) {
+            this.goals = await this.loadGoals();
+            this.rememberSyncedRecord('goals', this.goals);
+        }
+        if (parts.includes('settings')) {
+            this.settings = await this.loadSettings();
+            this.rememberSyncedRecord('settings', this.settings);
+        }
+        if (parts.includes('alternatives')) {
+            this.alternatives = await this.loadAlternatives();
+            this.renderAlternatives();
+        }
+        if (parts.includes('cravings')) {
+            this.cravings = await this.loadCravings();
+            this.rememberSyncedRecord('cravings', this.cravings);
+            this.renderCravings();
+        }
+        if (parts.includes('products')) {
+            this.products = await this.loadProducts();
+            this.rememberSyncedRecord('products', this.products);
+            this.renderProductOptions();
+            this.renderProducts();
+        }
+        if (parts.includes('purchases')) {
+            this.purchases = await this.loadPurchases();
+            this.rememberSyncedRecord('purchases', this.purchases);
+            this.renderPurchases();
+        }
+        if (parts.includes('stashes')) {
+            this.stashes = await this.loadStashes();
+            this.rememberSyncedRecord('stashes', this.stashes);
+            this.renderStashOptions();
+            this.renderStashes();
+        }
+        if (parts.includes('breaks')) {
+            this.breaks = await this.loadBreaks();
+            this.rememberSyncedRecord('breaks', this.breaks);
+            this.renderBreaks();
+        }
+
+        this.updateDashboard();
+        this.renderEntries();
+        this.rebuildCharts();
+    }
+
+    rememberSyncedEntries(entries) {
+        this.syncedEntries = new Map(entries.map(entry => [entry.id, JSON.stringify(entry)]));
+    }
+
+    rememberSyncedRecord(name, value) {
+        this.syncedRecords[name] = JSON.parse(JSON.stringify(value));
+    }
+
+    // Writes only the fields (or, for lists, the items) this tab changed over the stored record,
+    // so edits from other tabs survive
+    async mergeStoredRecord(name, value) {
+        const base = this.syncedRecords[name];
+        const stored = base ? await this.readStoredRecord(name) : null;
+        let merged = value;
+
+        if (Array.isArray(value)) {
+            if (Array.isArray(stored)) {
+                const baseById = new Map(base.map(item => [item.id, JSON.stringify(item)]));
+                const currentIds = new Set(value.map(item => item.id));
+                const changed = value.filter(item => baseById.get(item.id) !== JSON.stringify(item));
+                const changedIds = new Set(changed.map(item => item.id));
+                const removedIds = new Set(base.filter(item => !currentIds.has(item.id)).map(item => item.id));
+                merged = [...stored.filter(item => !changedIds.has(item.id) && !removedIds.has(item.id)), ...changed];
+            }
+        } else if (stored && typeof stored === 'object') {
+            merged = { ...stored };
+            Object.keys(value).forEach(key => {
+                if (JSON.stringify(value[key]) !== JSON.stringify(base[key])) {
+                    merged[key] = value[key];
+                }
+            });
+        }
+
+        await this.writeStoredRecord(name, merged);
+        this.rememberSyncedRecord(name, merged);
+        return merged;
+    }
+
+    // Encryption at Rest (PBKDF2-derived AES-GCM key)
+    isCryptoAvailable() {
+        try {
+            return typeof crypto !== 'undefined' && !!crypto.subtle;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async loadEncryptionConfig() {
+        try {
+            const saved = await this.readStoredRecord('encryption');
+            if (saved) return saved;
+
+            // Legacy localStorage data that is still waiting to be migrated may be encrypted too
+            if (this.db && this.isLocalStorageAvailable()) {
+                return this.readLegacyItem(this.getLocalStorageKey('encryption'));
+            }
+            return null;
+        } catch (error) {
+            console.error('Failed to load encryption settings:', error);
+            return null;
+        }
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encryptValue(value, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const plaintext = new TextEncoder().encode(JSON.stringify(value));
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, plaintext);
+        return {
+            iv: this.bytesToBase64(iv),
+            data: this.bytesToBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    async decryptValue(payload, key) {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBytes(payload.iv) },
+            key,
+            this.base64ToBytes(payload.data)
+        );
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    // Wrap a value for storage, encrypting it when a passphrase is set
+    async sealValue(value) {
+        if (!this.cryptoKey) return value;
+        return { encrypted: await this.encryptValue(value, this.cryptoKey) };
+    }
+
+    async unsealValue(stored) {
+        if (!stored || typeof stored !== 'object' || !stored.encrypted) {
+            return stored;
+        }
+
+        if (!this.cryptoKey) {
+            throw new Error('Stored data is encrypted but no passphrase has been entered');
+        }
+        return this.decryptValue(stored.encrypted, this.cryptoKey);
+    }
+
+    async createEncryptionConfig(passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = 600000;
+        const key = await this.deriveKey(passphrase, salt, iterations);
+
+        return {
+            key: key,
+            config: {
+                salt: this.bytesToBase64(salt),
+                iterations: iterations,
+                verifier: await this.encryptValue('weed-tracker', key) // Lets a wrong passphrase be detected
+            }
+        };
+    }
+
+    // Returns the key for the passphrase, or null when the passphrase is wrong
+    async unlockWithPassphrase(passphrase, config) {
+        try {
+            const key = await this.deriveKey(passphrase, this.base64ToBytes(config.salt), config.iterations);
+            await this.decryptValue(config.verifier, key);
+            return key;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Encrypted export files carry their own salt so they can be opened on any device
+    async createExportEnvelope(data, password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = 600000;
+        const key = await this.deriveKey(password, salt, iterations);
+        const encrypted = await this.encryptValue(data, key);
+
+        return {
+            format: 'weed-tracker-encrypted-export',
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: iterations, salt: this.bytesToBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: encrypted.iv },
+            data: encrypted.data
+        };
+    }
+
+    isExportEnvelope(data) {
+        return !!data && typeof data === 'object' && data.format === 'weed-tracker-encrypted-export';
+    }
+
+    // The iteration count comes from the file, so it is bounded before a key is derived from it
+    isValidExportKdf(kdf) {
+        return !!kdf && typeof kdf === 'object' && kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' &&
+            Number.isInteger(kdf.iterations) && kdf.iterations >= 100000 && kdf.iterations <= 2000000 &&
+            typeof kdf.salt === 'string';
+    }
+
+    // Returns the decrypted export payload, or null when the password is wrong
+    async openExportEnvelope(envelope, password) {
+        if (!this.isValidExportKdf(envelope.kdf)) {
+            return null;
+        }
+
+        try {
+            const key = await this.deriveKey(password, this.base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+            return await this.decryptValue({ iv: envelope.cipher.iv, data: envelope.data }, key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    bytesToBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    base64ToBytes(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+
+    // Default data structures
+    getDefaultGoals() {
+        return {
+            weeklyAmount: 0,
+            goalType: 'reduce',
+            startDate: null,
+            weeklyUnit: 'grams', // 'grams' or 'thc' (estimated mg THC)
+            budgetAmount: 0, // Spend ceiling in the configured currency, 0 for none
+            budgetPeriod: 'month', // 'week' or 'month'
+            budgetSource: 'estimated', // 'estimated' cost of entries or recorded 'purchases'
+            taper: null, // Active taper plan, which sets weeklyAmount week by week
+            quitDate: null, // Start of the quit date in quit mode
+            rules: [] // Daily rules checked before an entry is saved
+        };
+    }
+
+    getDefaultSettings() {
+        return {
+            pricePerGram: 10,
+            currency: 'USD',
+            priceHistory: [], // { from, pricePerGram } records, oldest first; from is null for the first price
+            backupSchedule: 'weekly', // 'off', 'daily' or 'weekly'
+            backupRetention: 5, // Number of backups to keep
+            doseUnit: 'grams', // 'grams' or 'thc' for stats and charts
+            defaultThcPercent: 15, // Used for entries without a product potency
+            bioavailability: this.getDefaultBioavailability(),
+            unitConversions: this.getDefaultUnitConversions()
+        };
+    }
+
+    // How many grams of product one puff, ml or pre-roll stands for
+    getDefaultUnitConversions() {
+        return {
+            gramsPerPuff: 0.005,
+            gramsPerMl: 1,
+            gramsPerPreroll: 0.5
+        };
+    }
+
+    // Rough share of THC that reaches the bloodstream, in percent, per consumption method
+    getDefaultBioavailability() {
+        return {
+            joint: 25,
+            bong: 30,
+            pipe: 25,
+            cigarette: 20,
+            vape: 35,
+            edible: 10,
+            other: 20
+        };
+    }
+
+    getDefaultAlternatives() {
+        return {
+            triedItems: [],
+            lastRefresh: null
+        };
+    }
+
+    // Dark Mode Management
+    loadDarkMode() {
+        try {
+            const saved = localStorage.getItem('weedTrackerDarkMode');
+            if (saved === null) {
+                // Default to system preference
+                return window.matchMedia('(prefers-color-scheme: dark)').matches;
+            }
+            return saved === 'true';
+        } catch (error) {
+            console.error('Failed to load dark mode preference:', error);
+            return false; // Default to light mode
+        }
+    }
+
+    saveDarkMode() {
+        try {
+            localStorage.setItem('weedTrackerDarkMode', this.darkMode.toString());
+        } catch (error) {
+            console.error('Failed to save dark mode preference:', error);
+        }
+    }
+
+    initializeDarkMode() {
+        console.log('Initializing dark mode, current state:', this.darkMode);
+        this.applyDarkMode(this.darkMode);
+        this.updateDarkModeIcon();
+        console.log('Dark mode initialized');
+    }
+
+    toggleDarkMode() {
+        console.log('Toggling dark mode from:', this.darkMode);
+        this.darkMode = !this.darkMode;
+        console.log('New dark mode state:', this.darkMode);
+        this.applyDarkMode(this.darkMode);
+        this.updateDarkModeIcon();
+        this.saveDarkMode();
+        this.updateChartsForDarkMode(); // Update chart colors
+        this.showMessage(this.darkMode ? 'Dark mode enabled' : 'Light mode enabled', 'success');
+    }
+
+    applyDarkMode(isDark) {
+        const body = document.body;
+        console.log('Applying dark mode:', isDark);
+        if (isDark) {
+            body.setAttribute('data-theme', 'dark');
+            console.log('Added data-theme="dark" to body');
+        } else {
+            body.removeAttribute('data-theme');
+            console.log('Removed data-theme attribute from body');
+        }
+    }
+
+    updateDarkModeIcon() {
+        const icon = document.getElementById('darkModeIcon');
+        console.log('Updating dark mode icon, found element:', !!icon);
+        if (icon) {
+            const newClass = this.darkMode ? 'fas fa-sun' : 'fas fa-moon';
+            icon.className = newClass;
+            console.log('Updated icon class to:', newClass);
+        } else {
+            console.error('Dark mode icon element not found!');
+        }
+    }
+
+    updateChartsForDarkMode() {
+        // Destroy and recreate charts with new colors
+        Object.values(this.charts).forEach(chart => {
+            if (chart && typeof chart.destroy === 'function') {
+                try {
+                    chart.destroy();
+                } catch (error) {
+                    console.error('Error destroying chart:', error);
+                }
+            }
+        });
+        this.charts = {};
+        
+        // Recreate charts with new color scheme
+        this.initializeCharts();
+    }
+
+    getChartColors() {
+        if (this.darkMode) {
+            return {
+                primary: '#81c784',
+                secondary: '#4fc3f7',
+                success: '#66bb6a',
+                danger: '#ef5350',
+                warning: '#ffb74d',
+                info: '#42a5f5',
+                accent: '#9c27b0',
+                background: 'rgba(129, 199, 132, 0.1)',
+                border: '#81c784',
+                text: '#e2e8f0',
+                grid: 'rgba(255, 255, 255, 0.1)'
+            };
         } else {
-            document.getElementById('goalText').textContent = `Stash depleted by ${Math.abs(remainingStash).toFixed(1)}g`;
+            return {
+                primary: '#667eea',
+                secondary: '#764ba2',
+                success: '#48bb78',
+                danger: '#e53e3e',
+                warning: '#ed8936',
+                info: '#3182ce',
+                accent: '#9f7aea',
+                background: 'rgba(102, 126, 234, 0.1)',
+                border: '#667eea',
+                text: '#333',
+                grid: 'rgba(0, 0, 0, 0.1)'
+            };
+        }
+    }
+
+    // Schema Versioning and Migrations
+    // Ordered migration steps. Each step upgrades data from (version - 1) to version and
+    // may transform any of the entries, goals and settings parts. Add a new step to the
+    // end of this list whenever the shape of stored or exported data changes.
+    getSchemaMigrations() {
+        return [
+            {
+                version: 1,
+                description: 'Normalize data saved or exported before schema versioning',
+                entries: (entries) => entries.map(entry => this.normalizeLegacyEntry(entry)),
+                goals: (goals) => ({ ...this.getDefaultGoals(), ...goals }),
+                settings: (settings) => ({ ...this.getDefaultSettings(), ...settings })
+            },
+            {
+                version: 2,
+                description: 'Add backup schedule and retention settings',
+                settings: (settings) => ({ backupSchedule: 'weekly', backupRetention: 5, ...settings })
+            },
+            {
+                version: 3,
+                description: 'Add tags and context fields to entries',
+                entries: (entries) => entries.map(entry => ({ tags: [], social: '', location: '', trigger: '', ...entry }))
+            },
+            {
+                version: 4,
+                description: 'Add THC dose estimate settings and goal units',
+                goals: (goals) => ({ weeklyUnit: 'grams', ...goals }),
+                settings: (settings) => ({
+                    doseUnit: 'grams',
+                    defaultThcPercent: 15,
+                    bioavailability: this.getDefaultBioavailability(),
+                    ...settings
+                })
+            },
+            {
+                version: 5,
+                description: 'Add amount units to entries',
+                entries: (entries) => entries.map(entry => ({ unit: 'g', ...entry })),
+                settings: (settings) => ({ unitConversions: this.getDefaultUnitConversions(), ...settings })
+            },
+            {
+                version: 6,
+                description: 'Add price history',
+                settings: (settings) => ({ priceHistory: [], ...settings })
+            },
+            {
+                version: 7,
+                description: 'Replace the stash goal type with the stash inventory',
+                // The stash amount is kept so convertLegacyStash can turn it into a stash once loaded
+                goals: (goals) => goals.goalType === 'stash' ? { ...goals, goalType: 'reduce' } : goals
+            },
+            {
+                version: 8,
+                description: 'Add the money budget to goals',
+                goals: (goals) => ({ budgetAmount: 0, budgetPeriod: 'month', budgetSource: 'estimated', ...goals })
+            },
+            {
+                version: 9,
+                description: 'Add taper plans to goals',
+                goals: (goals) => ({ taper: null, ...goals })
+            },
+            {
+                version: 10,
+                description: 'Give quit goals a quit date',
+                goals: (goals) => ({ quitDate: goals.goalType === 'quit' ? (goals.startDate || null) : null, ...goals })
+            },
+            {
+                version: 11,
+                description: 'Add daily rules to goals',
+                goals: (goals) => ({ rules: [], ...goals })
+            }
+        ];
+    }
+
+    getCurrentSchemaVersion() {
+        const migrations = this.getSchemaMigrations();
+        return migrations[migrations.length - 1].version;
+    }
+
+    migrateSchemaPart(part, value, fromVersion) {
+        if (fromVersion > this.getCurrentSchemaVersion()) {
+            console.warn(`Data has schema version ${fromVersion}, newer than supported version ${this.getCurrentSchemaVersion()}`);
+            return value;
+        }
+
+        if (part === 'entries' && !Array.isArray(value)) {
+            return value;
+        }
+
+        return this.getSchemaMigrations()
+            .filter(step => step.version > fromVersion && typeof step[part] === 'function')
+            .reduce((migrated, step) => step[part](migrated), value);
+    }
+
+    // Run every migration step an imported file needs; returns null if the file is too new
+    migrateImportData(data) {
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+
+        const fromVersion = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+        if (fromVersion > this.getCurrentSchemaVersion()) {
+            return null;
+        }
+
+        return {
+            ...data,
+            entries: this.migrateSchemaPart('entries', data.entries, fromVersion),
+            goals: this.migrateSchemaPart('goals', data.goals, fromVersion),
+            settings: this.migrateSchemaPart('settings', data.settings, fromVersion),
+            schemaVersion: this.getCurrentSchemaVersion()
+        };
+    }
+
+    normalizeLegacyEntry(entry) {
+        if (!entry || typeof entry !== 'object') {
+            return entry;
+        }
+
+        const normalized = { ...entry };
+
+        // Older exports stored ids and amounts as strings
+        if (typeof normalized.id === 'string' && normalized.id.trim() !== '' && !isNaN(Number(normalized.id))) {
+            normalized.id = Number(normalized.id);
+        } else if (typeof normalized.id !== 'number' && this.isValidDate(normalized.createdAt || normalized.timestamp)) {
+            normalized.id = new Date(normalized.createdAt || normalized.timestamp).getTime();
+        }
+
+        if (typeof normalized.amount === 'string') {
+            normalized.amount = parseFloat(normalized.amount);
+        }
+
+        if (normalized.notes === null || normalized.notes === undefined) {
+            normalized.notes = '';
+        }
+
+        if (normalized.mood === null || normalized.mood === undefined) {
+            normalized.mood = '';
+        }
+
+        return normalized;
+    }
+
+    // Data Validation Methods
+    validateEntry(entry) {
+        try {
+            // Check if entry is an object
+            if (!entry || typeof entry !== 'object') {
+                return false;
+            }
+
+            // Validate required fields
+            if (!entry.id || typeof entry.id !== 'number') {
+                return false;
+            }
+
+            if (!entry.amount || typeof entry.amount !== 'number' || entry.amount <= 0) {
+                return false;
+            }
+
+            if (!entry.method || typeof entry.method !== 'string') {
+                return false;
+            }
+
+            // Validate optional fields
+            if (entry.notes && !this.isSanitizedText(entry.notes)) {
+                return false;
+            }
+
+            if (entry.mood && typeof entry.mood !== 'string') {
+                return false;
+            }
+
+            // Tags must already be in the form parseTags gives them
+            if (entry.tags !== undefined && (!Array.isArray(entry.tags) ||
+                !entry.tags.every(tag => typeof tag === 'string' && this.parseTags(tag)[0] === tag))) {
+                return false;
+            }
+
+            if ((entry.social && !Object.keys(this.getSocialLabels()).includes(entry.social)) ||
+                (entry.location && !this.isSanitizedText(entry.location, 100)) ||
+                (entry.trigger && !Object.keys(this.getTriggerLabels()).includes(entry.trigger))) {
+                return false;
+            }
+
+            if (entry.productId !== undefined && entry.productId !== null && typeof entry.productId !== 'number') {
+                return false;
+            }
+
+            if (entry.unit !== undefined && !Object.keys(this.getAmountUnits()).includes(entry.unit)) {
+                return false;
+            }
+
+            if (entry.stashId !== undefined && entry.stashId !== null && typeof entry.stashId !== 'number') {
+                return false;
+            }
+
+            if (!entry.timestamp || !this.isValidDate(entry.timestamp)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Entry validation error:', error);
+            return false;
+        }
+    }
+
+    validateGoals(goals) {
+        try {
+            if (!goals || typeof goals !== 'object') {
+                return false;
+            }
+
+            // Validate required fields
+            if (typeof goals.weeklyAmount !== 'number' || goals.weeklyAmount < 0) {
+                return false;
+            }
+
+            if (!goals.goalType || !['reduce', 'maintain', 'quit'].includes(goals.goalType)) {
+                return false;
+            }
+
+            if (goals.stashAmount !== undefined && (typeof goals.stashAmount !== 'number' || goals.stashAmount < 0)) {
+                return false;
+            }
+
+            if (goals.weeklyUnit !== undefined && !['grams', 'thc'].includes(goals.weeklyUnit)) {
+                return false;
+            }
+
+            if (goals.budgetAmount !== undefined && (typeof goals.budgetAmount !== 'number' || goals.budgetAmount < 0)) {
+                return false;
+            }
+
+            if (goals.budgetPeriod !== undefined && !['week', 'month'].includes(goals.budgetPeriod)) {
+                return false;
+            }
+
+            if (goals.budgetSource !== undefined && !['estimated', 'purchases'].includes(goals.budgetSource)) {
+                return false;
+            }
+
+            if (goals.taper !== undefined && goals.taper !== null && !this.validateTaper(goals.taper)) {
+                return false;
+            }
+
+            if (goals.quitDate !== undefined && goals.quitDate !== null && !this.isValidDate(goals.quitDate)) {
+                return false;
+            }
+
+            if (goals.rules !== undefined && (!Array.isArray(goals.rules) || !goals.rules.every(rule => this.validateRule(rule)))) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Goals validation error:', error);
+            return false;
+        }
+    }
+
+    validateRule(rule) {
+        if (!rule || typeof rule !== 'object' || typeof rule.id !== 'number') {
+            return false;
+        }
+
+        if (!this.isValidDate(rule.createdAt)) {
+            return false;
+        }
+
+        switch (rule.type) {
+            case 'maxPerDay':
+                return typeof rule.value === 'number' && rule.value > 0;
+            case 'maxSessions':
+                return Number.isInteger(rule.value) && rule.value > 0;
+            case 'notBefore':
+                return typeof rule.value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(rule.value);
+            case 'noWeekdays':
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    validateTaper(taper) {
+        if (!taper || typeof taper !== 'object') {
+            return false;
+        }
+
+        if (!this.isValidDate(taper.startDate) || !['grams', 'thc'].includes(taper.unit)) {
+            return false;
+        }
+
+        if (!['duration', 'percent'].includes(taper.mode) || typeof taper.value !== 'number') {
+            return false;
+        }
+
+        if (typeof taper.baseline !== 'number' || taper.baseline <= 0 || typeof taper.target !== 'number' || taper.target < 0) {
+            return false;
+        }
+
+        if (!Array.isArray(taper.schedule) || taper.schedule.length === 0 ||
+            !taper.schedule.every(amount => typeof amount === 'number' && amount >= 0)) {
+            return false;
+        }
+
+        if (!Number.isInteger(taper.checkedWeeks) || taper.checkedWeeks < 0 || !Array.isArray(taper.missedWeeks)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    validateSettings(settings) {
+        try {
+            if (!settings || typeof settings !== 'object') {
+                return false;
+            }
+
+            if (typeof settings.pricePerGram !== 'number' || settings.pricePerGram < 0) {
+                return false;
+            }
+
+            if (!settings.currency || typeof settings.currency !== 'string') {
+                return false;
+            }
+
+            if (settings.priceHistory !== undefined && (!Array.isArray(settings.priceHistory) ||
+                !settings.priceHistory.every(record => record && typeof record.pricePerGram === 'number' && record.pricePerGram >= 0 &&
+                    (record.from === null || this.isValidDate(record.from))))) {
+                return false;
+            }
+
+            if (settings.backupSchedule !== undefined && !['off', 'daily', 'weekly'].includes(settings.backupSchedule)) {
+                return false;
+            }
+
+            if (settings.backupRetention !== undefined && (!Number.isInteger(settings.backupRetention) || settings.backupRetention < 1 || settings.backupRetention > 50)) {
+                return false;
+            }
+
+            if (settings.doseUnit !== undefined && !['grams', 'thc'].includes(settings.doseUnit)) {
+                return false;
+            }
+
+            const isPercent = value => typeof value === 'number' && value >= 0 && value <= 100;
+            if (settings.defaultThcPercent !== undefined && !isPercent(settings.defaultThcPercent)) {
+                return false;
+            }
+
+            if (settings.bioavailability !== undefined && (!settings.bioavailability || typeof settings.bioavailability !== 'object' ||
+                !Object.values(settings.bioavailability).every(isPercent))) {
+                return false;
+            }
+
+            if (settings.unitConversions !== undefined && (!settings.unitConversions || typeof settings.unitConversions !== 'object' ||
+                !Object.values(settings.unitConversions).every(value => typeof value === 'number' && value > 0))) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Settings validation error:', error);
+            return false;
+        }
+    }
+
+    validateAlternatives(alternatives) {
+        try {
+            if (!alternatives || typeof alternatives !== 'object') {
+                return false;
+            }
+
+            if (!Array.isArray(alternatives.triedItems)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Alternatives validation error:', error);
+            return false;
+        }
+    }
+
+    validateCravings(cravings) {
+        return Array.isArray(cravings) && cravings.every(craving => this.validateCraving(craving));
+    }
+
+    validateCraving(craving) {
+        try {
+            if (!craving || typeof craving !== 'object') {
+                return false;
+            }
+
+            if (!craving.id || typeof craving.id !== 'number') {
+                return false;
+            }
+
+            if (!Number.isInteger(craving.intensity) || craving.intensity < 1 || craving.intensity > 10) {
+                return false;
+            }
+
+            if (typeof craving.gaveIn !== 'boolean') {
+                return false;
+            }
+
+            if ((craving.trigger && !Object.keys(this.getTriggerLabels()).includes(craving.trigger)) ||
+                (craving.alternative && !this.isSanitizedText(craving.alternative)) ||
+                (craving.notes && !this.isSanitizedText(craving.notes))) {
+                return false;
+            }
+
+            if (!craving.timestamp || !this.isValidDate(craving.timestamp)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Craving validation error:', error);
+            return false;
+        }
+    }
+
+    validateProducts(products) {
+        return Array.isArray(products) && products.every(product => this.validateProduct(product));
+    }
+
+    validateProduct(product) {
+        try {
+            if (!product || typeof product !== 'object') {
+                return false;
+            }
+
+            if (!product.id || typeof product.id !== 'number') {
+                return false;
+            }
+
+            if (!product.name || !this.isSanitizedText(product.name, 60)) {
+                return false;
+            }
+
+            if (!Object.keys(this.getProductTypeLabels()).includes(product.type)) {
+                return false;
+            }
+
+            // Potency and price are optional, but must be sensible when set
+            const isPercent = value => value === null || (typeof value === 'number' && value >= 0 && value <= 100);
+            if (!isPercent(product.thc) || !isPercent(product.cbd)) {
+                return false;
+            }
+
+            if (product.price !== null && (typeof product.price !== 'number' || product.price < 0)) {
+                return false;
+            }
+
+            if (product.purchaseDate && !this.isValidDate(product.purchaseDate)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Product validation error:', error);
+            return false;
+        }
+    }
+
+    validatePurchases(purchases) {
+        return Array.isArray(purchases) && purchases.every(purchase => this.validatePurchase(purchase));
+    }
+
+    validatePurchase(purchase) {
+        try {
+            if (!purchase || typeof purchase !== 'object') {
+                return false;
+            }
+
+            if (!purchase.id || typeof purchase.id !== 'number') {
+                return false;
+            }
+
+            if (typeof purchase.grams !== 'number' || purchase.grams <= 0) {
+                return false;
+            }
+
+            if (typeof purchase.price !== 'number' || purchase.price < 0) {
+                return false;
+            }
+
+            if (purchase.productId !== null && purchase.productId !== undefined && typeof purchase.productId !== 'number') {
+                return false;
+            }
+
+            if (purchase.stashId !== null && purchase.stashId !== undefined && typeof purchase.stashId !== 'number') {
+                return false;
+            }
+
+            if (purchase.notes && !this.isSanitizedText(purchase.notes, 200)) {
+                return false;
+            }
+
+            if (!purchase.timestamp || !this.isValidDate(purchase.timestamp)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Purchase validation error:', error);
+            return false;
+        }
+    }
+
+    validateStashes(stashes) {
+        return Array.isArray(stashes) && stashes.every(stash => this.validateStash(stash));
+    }
+
+    validateStash(stash) {
+        try {
+            if (!stash || typeof stash !== 'object') {
+                return false;
+            }
+
+            if (!stash.id || typeof stash.id !== 'number') {
+                return false;
+            }
+
+            if (!stash.name || !this.isSanitizedText(stash.name, 40)) {
+                return false;
+            }
+
+            if (typeof stash.amount !== 'number' || stash.amount < 0) {
+                return false;
+            }
+
+            if (stash.productId !== null && stash.productId !== undefined && typeof stash.productId !== 'number') {
+                return false;
+            }
+
+            if (stash.countedAt && isNaN(new Date(stash.countedAt).getTime())) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Stash validation error:', error);
+            return false;
+        }
+    }
+
+    validateBreaks(breaks) {
+        return Array.isArray(breaks) && breaks.every(tBreak => this.validateBreak(tBreak));
+    }
+
+    validateBreak(tBreak) {
+        try {
+            if (!tBreak || typeof tBreak !== 'object') {
+                return false;
+            }
+
+            if (!tBreak.id || typeof tBreak.id !== 'number') {
+                return false;
+            }
+
+            if (!this.isValidDate(tBreak.startDate) || !this.isValidDate(tBreak.endDate) ||
+                new Date(tBreak.endDate) < new Date(tBreak.startDate)) {
+                return false;
+            }
+
+            if (tBreak.endedAt !== null && tBreak.endedAt !== undefined && !this.isValidDate(tBreak.endedAt)) {
+                return false;
+            }
+
+            if (tBreak.checkIns !== undefined && (!Array.isArray(tBreak.checkIns) ||
+                !tBreak.checkIns.every(checkIn => checkIn && typeof checkIn.date === 'string' &&
+                    ['great', 'good', 'neutral', 'bad', 'terrible'].includes(checkIn.mood)))) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Break validation error:', error);
+            return false;
+        }
+    }
+
+    isValidDate(dateString) {
+        try {
+            const date = new Date(dateString);
+            return date instanceof Date && !isNaN(date);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Utility function to check IndexedDB availability
+    isIndexedDBAvailable() {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Utility function to check localStorage availability
+    isLocalStorageAvailable() {
+        try {
+            const test = '__localStorage_test__';
+            localStorage.setItem(test, test);
+            localStorage.removeItem(test);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Enhanced error handling for localStorage operations
+    safeLocalStorageOperation(operation, fallback = null) {
+        if (!this.isLocalStorageAvailable()) {
+            console.warn('localStorage is not available');
+            return fallback;
+        }
+
+        try {
+            return operation();
+        } catch (error) {
+            console.error('localStorage operation failed:', error);
+            return fallback;
+        }
+    }
+
+    // Event Listeners
+    setupEventListeners() {
+        // Quick add form
+        document.getElementById('quickAddForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.editingEntryId !== null) {
+                this.updateEntry();
+            } else {
+                this.addEntry();
+            }
+        });
+
+        // Goal form
+        document.getElementById('goalForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveGoal();
+        });
+
+        document.getElementById('goalType').addEventListener('change', () => this.toggleGoalFields());
+
+        // Taper plan form
+        document.getElementById('taperForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTaperPlan();
+        });
+        document.getElementById('taperMode').addEventListener('change', () => this.updateTaperModeFields());
+        document.getElementById('taperUnit').addEventListener('change', () => {
+            document.getElementById('taperBaseline').value = this.getTaperBaseline(document.getElementById('taperUnit').value) || '';
+        });
+
+        // Security form
+        document.getElementById('securityForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSecuritySettings();
+        });
+
+        // Backup settings form
+        document.getElementById('backupSettingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveBackupSettings();
+        });
+
+        // Craving form
+        document.getElementById('cravingForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addCraving();
+        });
+
+        document.getElementById('cravingIntensity').addEventListener('input', (e) => {
+            document.getElementById('cravingIntensityValue').textContent = e.target.value;
+        });
+
+        // Amount unit follows the method
+        document.getElementById('method').addEventListener('change', () => {
+            this.applyMethodUnit();
+        });
+
+        document.getElementById('amountUnit').addEventListener('change', () => {
+            this.updateAmountInput();
+        });
+
+        // Tolerance break form
+        document.getElementById('breakForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.planBreak();
+        });
+
+        // Rule form
+        document.getElementById('ruleForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addRule();
+        });
+        document.getElementById('ruleType').addEventListener('change', () => this.updateRuleValueField());
+
+        // Stash form
+        document.getElementById('stashForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveStashForm();
+        });
+
+        // Purchase form
+        document.getElementById('purchaseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addPurchase();
+        });
+
+        // Settings form
+        document.getElementById('settingsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSettingsForm();
+        });
+
+        // Dose settings form
+        document.getElementById('doseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveDoseSettings();
+        });
+
+        // Product form
+        document.getElementById('productForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveProductForm();
+        });
+
+        // Tag suggestions
+        document.getElementById('tagSuggestions').addEventListener('click', (e) => {
+            if (e.target.dataset.tag) {
+                this.addTagToForm(e.target.dataset.tag);
+            }
+        });
+
+        // Filter bar
+        const filterForm = document.getElementById('filterForm');
+        filterForm.addEventListener('input', () => this.applyFilters());
+        filterForm.addEventListener('change', () => this.applyFilters());
+        filterForm.addEventListener('submit', (e) => e.preventDefault());
+
+        // History jump-to-date form
+        document.getElementById('historyJumpForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.jumpToHistoryDate();
+        });
+
+        // CSV column mapping form
+        document.getElementById('csvMappingForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmCsvMapping();
+        });
+
+        // Import options form
+        document.getElementById('importForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmImport();
+        });
+
+        // Password prompt form
+        document.getElementById('passwordForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitPasswordModal();
+        });
+
+        // Undo/redo shortcuts; text fields keep their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+            const target = e.target;
+            if (target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable)) {
+                return;
+            }
+
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redo();
+            }
+        });
+
+        // Time input change listener
+        const timeInput = document.getElementById('time');
+        if (timeInput) {
+            timeInput.addEventListener('input', () => {
+                this.timeManuallyChanged = true;
+            });
+        }
+
+        // Modal close events
+        window.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal')) {
+                e.target.style.display = 'none';
+            }
+        });
+
+        // Dark mode toggle
+        const darkModeToggle = document.getElementById('darkModeToggle');
+        console.log('Setting up dark mode toggle, found element:', !!darkModeToggle);
+        if (darkModeToggle) {
+            darkModeToggle.addEventListener('click', () => {
+                console.log('Dark mode toggle clicked!');
+                this.toggleDarkMode();
+            });
+            console.log('Dark mode toggle event listener added');
+        } else {
+            console.error('Dark mode toggle button not found!');
+        }
+    }
+
+    // Entry Management with Validation and Sanitization
+    // Reads and validates the quick add form; returns null after showing an error
+    readEntryForm() {
+        const amountInput = this.getElementSafely('amount');
+        const methodInput = this.getElementSafely('method');
+        const notesInput = this.getElementSafely('notes');
+        const moodInput = this.getElementSafely('mood');
+        const timeInput = this.getElementSafely('time');
+        const tagsInput = this.getElementSafely('tags');
+        const socialInput = this.getElementSafely('social');
+        const locationInput = this.getElementSafely('location');
+        const triggerInput = this.getElementSafely('trigger');
+        const productInput = this.getElementSafely('product');
+        const unitInput = this.getElementSafely('amountUnit');
+        const stashInput = this.getElementSafely('stash');
+
+        if (!amountInput || !methodInput || !timeInput) {
+            this.showMessage('Required form elements not found. Please refresh the page.', 'error');
+            return null;
+        }
+
+        // Validate and sanitize form data
+        const amount = parseFloat(amountInput.value);
+        const method = methodInput.value;
+        const notes = this.sanitizeInput(notesInput.value.trim());
+        const mood = moodInput.value;
+        const timestamp = timeInput.value;
+        const tags = this.parseTags(tagsInput ? tagsInput.value : '');
+        const social = socialInput ? socialInput.value : '';
+        const location = locationInput ? this.sanitizeInput(locationInput.value, 100) : '';
+        const trigger = triggerInput ? triggerInput.value : '';
+        const productId = productInput && productInput.value ? Number(productInput.value) : null;
+        const stashId = stashInput && stashInput.value ? Number(stashInput.value) : null;
+        const unit = unitInput ? unitInput.value : 'g';
+        const unitDefinition = this.getAmountUnits()[unit];
+
+        if (!unitDefinition) {
+            this.showMessage('Please select a valid unit.', 'error');
+            return null;
+        }
+
+        // Validate required fields
+        if (!amount || amount <= 0 || amount > unitDefinition.max) { // Reasonable upper limit
+            this.showMessage(`Please enter a valid amount between ${unitDefinition.step} and ${unitDefinition.max} ${unitDefinition.label}.`, 'error');
+            return null;
+        }
+
+        if (!method || !['joint', 'bong', 'pipe', 'cigarette', 'vape', 'edible', 'other'].includes(method)) {
+            this.showMessage('Please select a valid consumption method.', 'error');
+            return null;
+        }
+
+        if (!timestamp || !this.isValidDate(timestamp)) {
+            this.showMessage('Please enter a valid date and time.', 'error');
+            return null;
+        }
+
+        // Validate mood if provided
+        if (mood && !['great', 'good', 'neutral', 'bad', 'terrible'].includes(mood)) {
+            this.showMessage('Please select a valid mood option.', 'error');
+            return null;
+        }
+
+        if (social && !Object.keys(this.getSocialLabels()).includes(social)) {
+            this.showMessage('Please select a valid setting.', 'error');
+            return null;
+        }
+
+        if (trigger && !Object.keys(this.getTriggerLabels()).includes(trigger)) {
+            this.showMessage('Please select a valid trigger.', 'error');
+            return null;
+        }
+
+        if (productId !== null && !this.getProduct(productId)) {
+            this.showMessage('Please select a valid product.', 'error');
+            return null;
+        }
+
+        if (stashId !== null && !this.getStash(stashId)) {
+            this.showMessage('Please select a valid stash.', 'error');
+            return null;
+        }
+
+        return { amount, unit, method, notes, mood, timestamp, tags, social, location, trigger, productId, stashId };
+    }
+
+    addEntry() {
+        try {
+            const form = this.getElementSafely('quickAddForm');
+            if (!form) {
+                this.showMessage('Form not found. Please refresh the page.', 'error');
+                return;
+            }
+
+            const fields = this.readEntryForm();
+            if (!fields) {
+                return;
+            }
+
+            const entry = {
+                id: Date.now(),
+                ...fields,
+                createdAt: new Date().toISOString()
+            };
+
+            // Validate the complete entry
+            if (!this.validateEntry(entry)) {
+                this.showMessage('Invalid entry data. Please check your input.', 'error');
+                return;
+            }
+
+            // An entry that breaks a rule is only saved once confirmed
+            const violations = this.getRuleViolations(entry);
+            if (violations.length > 0) {
+                this.showConfirmModal(`This entry breaks your rules: ${violations.join('; ')}. Save it anyway?`, () => this.saveNewEntry(entry, form));
+                return;
+            }
+
+            this.saveNewEntry(entry, form);
+        } catch (error) {
+            console.error('Error adding entry:', error);
+            this.showMessage('Failed to add entry. Please try again.', 'error');
+        }
+    }
+
+    saveNewEntry(entry, form) {
+        try {
+            this.entries.push(entry);
+            // Sort entries by consumption timestamp (most recent first)
+            this.entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.saveEntry(entry);
+            
+            // Reset form, but keep drawing from the same stash
+            form.reset();
+            document.getElementById('stash').value = entry.stashId || '';
+            this.updateAmountInput();
+            this.setDefaultDateTime();
+            this.timeManuallyChanged = false; // Reset the manual change flag
+            
+            // Update UI
+            this.updateDashboard();
+            this.renderEntries();
+            this.updateCompactChart(); // Update compact chart specifically
+            this.updateExpandedCharts();
+            
+            // Show success message, with every notice that applies to this entry in one toast
+            const stash = entry.stashId ? this.getStash(entry.stashId) : null;
+            const budgetWarning = this.goals.budgetSource === 'estimated' ? this.getBudgetWarning() : null;
+            const tBreak = this.getBreakAt(new Date(entry.timestamp));
+            const lapse = this.isLapse(entry);
+            const notices = [];
+            if (lapse) {
+                const cleanDays = this.getQuitStats().cleanDays;
+                notices.push(`Lapse logged. Your ${cleanDays} clean day${cleanDays === 1 ? '' : 's'} since quitting still count.`);
+            }
+            if (tBreak) {
+                notices.push(`Logged during your T-break (day ${this.getBreakDayNumber(tBreak, new Date(entry.timestamp))} of ${this.getBreakLength(tBreak)}).`);
+            }
+            if (stash && this.getStashLevel(stash).remaining <= 0) {
+                notices.push(`Your "${stash.name}" stash is now empty.`);
+            }
+            if (budgetWarning) {
+                notices.push(budgetWarning);
+            }
+
+            if (notices.length > 0) {
+                this.showMessage(lapse ? notices.join(' ') : `Entry added. ${notices.join(' ')}`, 'info');
+            } else {
+                this.showMessage('Entry added successfully!', 'success');
+            }
+        } catch (error) {
+            console.error('Error adding entry:', error);
+            this.showMessage('Failed to add entry. Please try again.', 'error');
+        }
+    }
+
+    editEntry(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) {
+            this.showMessage('Entry not found.', 'error');
+            return;
+        }
+
+        this.closeHistoryModal();
+        this.editingEntryId = id;
+        document.getElementById('amount').value = entry.amount;
+        document.getElementById('method').value = entry.method;
+        document.getElementById('amountUnit').value = entry.unit || 'g';
+        this.updateAmountInput();
+        document.getElementById('notes').value = entry.notes || '';
+        document.getElementById('mood').value = entry.mood || '';
+        document.getElementById('time').value = entry.timestamp;
+        document.getElementById('tags').value = (entry.tags || []).join(', ');
+        document.getElementById('social').value = entry.social || '';
+        document.getElementById('location').value = entry.location || '';
+        document.getElementById('trigger').value = entry.trigger || '';
+        document.getElementById('product').value = entry.productId && this.getProduct(entry.productId) ? entry.productId : '';
+        document.getElementById('stash').value = entry.stashId && this.getStash(entry.stashId) ? entry.stashId : '';
+        document.getElementById('contextFields').open = !!((entry.tags && entry.tags.length) || entry.social || entry.location || entry.trigger);
+        this.timeManuallyChanged = true; // Keep the entry's time from being overwritten by the clock
+
+        this.setEntryFormMode(true);
+        this.renderEntries();
+
+        const form = document.getElementById('quickAddForm');
+        if (typeof form.scrollIntoView === 'function') {
+            form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+    }
+
+    cancelEditEntry() {
+        this.editingEntryId = null;
+        document.getElementById('quickAddForm').reset();
+        this.updateAmountInput();
+        this.setDefaultDateTime();
+        this.timeManuallyChanged = false;
+        this.setEntryFormMode(false);
+        this.renderEntries();
+    }
+
+    setEntryFormMode(editing) {
+        document.getElementById('entryFormTitle').innerHTML = editing
+            ? '<i class="fas fa-edit"></i> Edit Entry'
+            : '<i class="fas fa-plus-circle"></i> Quick Add Entry';
+        document.getElementById('entryFormSubmit').innerHTML = editing
+            ? '<i class="fas fa-save"></i> Save Changes'
+            : '<i class="fas fa-save"></i> Add Entry';
+        document.getElementById('cancelEditButton').style.display = editing ? 'inline-flex' : 'none';
+    }
+
+    updateEntry() {
+        try {
+            const index = this.entries.findIndex(entry => entry.id === this.editingEntryId);
+            if (index === -1) {
+                this.showMessage('Entry not found.', 'error');
+                this.cancelEditEntry();
+                return;
+            }
+
+            const fields = this.readEntryForm();
+            if (!fields) {
+                return;
+            }
+
+            // Keep the original id and createdAt
+            const entry = {
+                ...this.entries[index],
+                ...fields,
+                updatedAt: new Date().toISOString()
+            };
+
+            if (!this.validateEntry(entry)) {
+                this.showMessage('Invalid entry data. Please check your input.', 'error');
+                return;
+            }
+
+            // Same rule check as a new entry
+            const violations = this.getRuleViolations(entry);
+            if (violations.length > 0) {
+                this.showConfirmModal(`This entry breaks your rules: ${violations.join('; ')}. Save it anyway?`, () => this.saveEditedEntry(entry));
+                return;
+            }
+
+            this.saveEditedEntry(entry);
+        } catch (error) {
+            console.error('Error updating entry:', error);
+            this.showMessage('Failed to update entry. Please try again.', 'error');
+        }
+    }
+
+    saveEditedEntry(entry) {
+        try {
+            const index = this.entries.findIndex(item => item.id === entry.id);
+            if (index === -1) {
+                this.showMessage('Entry not found.', 'error');
+                this.cancelEditEntry();
+                return;
+            }
+
+            this.entries[index] = entry;
+            this.entries.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.saveEntry(entry);
+
+            this.cancelEditEntry();
+            this.updateDashboard();
+            this.rebuildCharts();
+
+            this.showMessage('Entry updated successfully!', 'success');
+        } catch (error) {
+            console.error('Error updating entry:', error);
+            this.showMessage('Failed to update entry. Please try again.', 'error');
+        }
+    }
+
+    deleteEntry(id) {
+        try {
+            if (!id || typeof id !== 'number') {
+                this.showMessage('Invalid entry ID.', 'error');
+                return;
+            }
+
+            if (!this.entries.some(entry => entry.id === id)) {
+                this.showMessage('Entry not found.', 'error');
+                return;
+            }
+
+            // Snapshot is taken synchronously, before the entry is removed
+            this.createBackup('delete');
+            const before = this.captureUndoState();
+            this.entries = this.entries.filter(entry => entry.id !== id);
+            this.recordUndo('Delete entry', before);
+
+            if (this.editingEntryId === id) {
+                this.cancelEditEntry();
+            }
+
+            this.removeSavedEntry(id);
+            this.updateDashboard();
+            this.renderEntries();
+            this.updateCompactChart(); // Update compact chart specifically
+            this.updateExpandedCharts();
+            this.showMessage('Entry deleted successfully!', 'success', this.getUndoToastAction());
+        } catch (error) {
+            console.error('Error deleting entry:', error);
+            this.showMessage('Failed to delete entry. Please try again.', 'error');
+        }
+    }
+
+    // Dashboard Updates with Error Handling
+    updateDashboard() {
+        try {
+            this.updateTodayStats();
+            this.updateWeekStats();
+            this.updateGoalProgress();
+            this.updateStreak();
+            this.updateTimeSinceLastJoint();
+            this.updateCravingStats();
+            this.updateSpendingStats();
+            this.updateStashLevels();
+            this.updateBreakStatus();
+        } catch (error) {
+            console.error('Error updating dashboard:', error);
+            this.showMessage('Failed to update dashboard. Please refresh the page.', 'error');
+        }
+    }
+
+    updateTodayStats() {
+        const now = new Date();
+        const twentyFourHoursAgo = new Date(now.getTime() - 24 * 60 * 60 * 1000);
+        
+        const last24HoursEntries = this.entries.filter(entry => {
+            const entryTime = new Date(entry.timestamp);
+            return entryTime >= twentyFourHoursAgo && entryTime <= now;
+        });
+
+        const last24HoursCount = last24HoursEntries.length;
+        const last24HoursAmount = this.sumDoses(last24HoursEntries);
+        const last24HoursCost = last24HoursEntries.reduce((sum, entry) => sum + this.getEntryCost(entry), 0);
+
+        document.getElementById('todayCount').textContent = last24HoursCount;
+        document.getElementById('todayAmount').textContent = this.formatDose(last24HoursAmount);
+        document.getElementById('todayCost').textContent = this.formatCurrency(last24HoursCost);
+    }
+
+    updateWeekStats() {
+        const now = new Date();
+        // Calculate last 7 days instead of current week
+        const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        const weekEntries = this.entries.filter(entry => {
+            const entryDate = new Date(entry.timestamp);
+            return entryDate >= sevenDaysAgo && entryDate <= now;
+        });
+
+        const weekCount = weekEntries.length;
+        const weekAmount = this.sumDoses(weekEntries);
+        const weekAvg = weekCount > 0 ? weekAmount / 7 : 0;
+
+        document.getElementById('weekCount').textContent = weekCount;
+        document.getElementById('weekAmount').textContent = this.formatDose(weekAmount);
+        document.getElementById('weekAvg').textContent = this.formatDose(weekAvg);
+    }
+
+    updateGoalProgress() {
+        this.updateBudgetProgress();
+        this.updateRuleCompliance();
+
+        if (this.goals.taper) {
+            this.updateTaperProgress();
+            return;
+        }
+
+        if (this.getQuitDate()) {
+            this.updateQuitProgress();
+            return;
+        }
+
+        if (!this.goals.weeklyAmount || this.goals.weeklyAmount <= 0) {
+            document.getElementById('goalProgress').style.width = '0%';
+            document.getElementById('goalText').textContent = 'Set a weekly goal to track progress';
+            return;
+        }
+
+        const now = new Date();
+        // Calculate last 7 days instead of current week
+        const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+        const weekEntries = this.entries.filter(entry => {
+            const entryDate = new Date(entry.timestamp);
+            return entryDate >= sevenDaysAgo && entryDate <= now;
+        });
+
+        // The goal keeps its own unit, whatever the stats are displayed in
+        const unit = this.goals.weeklyUnit || 'grams';
+        const weekAmount = this.sumDoses(weekEntries, unit);
+        const progress = Math.min((weekAmount / this.goals.weeklyAmount) * 100, 100);
+
+        document.getElementById('goalProgress').style.width = progress + '%';
+        
+        const remaining = this.goals.weeklyAmount - weekAmount;
+        if (remaining > 0) {
+            document.getElementById('goalText').textContent = `${this.formatDose(remaining, unit)} remaining this week`;
+        } else {
+            document.getElementById('goalText').textContent = `Goal exceeded by ${this.formatDose(Math.abs(remaining), unit)}`;
+        }
+    }
+
+    updateStreak() {
+        const quitStats = document.getElementById('quitStats');
+
+        // Quit mode counts time without use instead of days with use
+        if (this.getQuitDate()) {
+            const abstinence = this.calculateAbstinence();
+            const stats = this.getQuitStats();
+            document.getElementById('streakTitle').innerHTML = '<i class="fas fa-seedling"></i> Abstinence';
+            document.getElementById('currentStreak').textContent = abstinence.value;
+            document.getElementById('streakLabel').textContent = abstinence.unit;
+            document.getElementById('streakType').textContent = abstinence.text;
+            quitStats.textContent = `${stats.cleanDays} clean day${stats.cleanDays === 1 ? '' : 's'} · longest run ${stats.longestRun} · ${this.formatCurrency(stats.moneySaved)} saved`;
+            quitStats.style.display = 'block';
+            return;
+        }
+
+        const streak = this.calculateStreak();
+        document.getElementById('streakTitle').innerHTML = '<i class="fas fa-fire"></i> Current Streak';
+        document.getElementById('currentStreak').textContent = streak.count;
+        document.getElementById('streakLabel').textContent = 'days';
+        document.getElementById('streakType').textContent = streak.type;
+        quitStats.style.display = 'none';
+    }
+
+    updateTimeSinceLastJoint() {
+        const timeSince = this.calculateTimeSinceLastJoint();
+        document.getElementById('timeSinceNumber').textContent = timeSince.value;
+        document.getElementById('timeSinceLabel').textContent = timeSince.unit;
+        document.getElementById('timeSinceText').textContent = timeSince.text;
+    }
+
+    calculateStreak() {
+        if (this.entries.length === 0) {
+            return { count: 0, type: 'No streak yet' };
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        let currentDate = new Date(today);
+        let streakCount = 0;
+        let hasEntryToday = false;
+
+        // Check if there's an entry today
+        const todayEntries = this.entries.filter(entry => {
+            const entryDate = new Date(entry.timestamp);
+            entryDate.setHours(0, 0, 0, 0);
+            return entryDate.getTime() === today.getTime();
+        });
+
+        if (todayEntries.length > 0) {
+            hasEntryToday = true;
+        }
+
+        // Calculate streak
+        while (true) {
+            const dateEntries = this.entries.filter(entry => {
+                const entryDate = new Date(entry.timestamp);
+                entryDate.setHours(0, 0, 0, 0);
+                return entryDate.getTime() === currentDate.getTime();
+            });
+
+            if (dateEntries.length > 0) {
+                streakCount++;
+                currentDate.setDate(currentDate.getDate() - 1);
+            } else {
+                break;
+            }
+        }
+
+        if (streakCount === 0) {
+            return { count: 0, type: 'No streak yet' };
+        } else if (hasEntryToday) {
+            return { count: streakCount, type: 'day streak (including today)' };
+        } else {
+            return { count: streakCount, type: 'day streak (last entry yesterday)' };
+        }
+    }
+
+    calculateTimeSinceLastJoint() {
+        if (this.entries.length === 0) {
+            return {
+                value: 0,
+                unit: 'hours',
+                text: 'No usage yet'
+            };
+        }
+
+        // Find the most recent usage by looking at all entries and finding the latest timestamp
+        let mostRecentEntry = this.entries[0];
+        let mostRecentTime = new Date(mostRecentEntry.timestamp);
+        
+        for (const entry of this.entries) {
+            const entryTime = new Date(entry.timestamp);
+            if (entryTime > mostRecentTime) {
+                mostRecentTime = entryTime;
+                mostRecentEntry = entry;
+            }
+        }
+        
+        const timeOfDay = mostRecentTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+        return {
+            ...this.getElapsedTime(mostRecentTime),
+            text: `Last usage: ${this.formatEntryAmount(mostRecentEntry)} ${this.getMethodLabel(mostRecentEntry.method)} at ${timeOfDay}`
+        };
+    }
+
+    // Time since a moment in the largest unit that applies, capped at two digits
+    getElapsedTime(since) {
+        const timeDiff = Math.max(new Date().getTime() - since.getTime(), 0);
+
+        // Convert to different time units
+        const minutes = Math.floor(timeDiff / (1000 * 60));
+        const hours = Math.floor(timeDiff / (1000 * 60 * 60));
+        const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
+        const months = Math.floor(days / 30.44); // Average days per month
+        const years = Math.floor(days / 365.25); // Account for leap years
+
+        if (years > 0) {
+            return { value: Math.min(years, 99), unit: 'years' };
+        } else if (months > 0) {
+            return { value: Math.min(months, 99), unit: 'months' };
+        } else if (days > 0) {
+            return { value: Math.min(days, 99), unit: 'days' };
+        } else if (hours > 0) {
+            return { value: Math.min(hours, 99), unit: 'hours' };
+        }
+        return { value: Math.min(minutes, 99), unit: 'minutes' };
+    }
+
+    // Quit Mode
+    getQuitDate() {
+        return this.goals.goalType === 'quit' && this.goals.quitDate ? new Date(this.goals.quitDate) : null;
+    }
+
+    // Entries from the quit date on are lapses, worked out from the current quit date
+    isLapse(entry) {
+        const quitDate = this.getQuitDate();
+        return !!quitDate && new Date(entry.timestamp) >= quitDate;
+    }
+
+    getLapses() {
+        return this.entries.filter(entry => this.isLapse(entry));
+    }
+
+    // Counts from the quit date, or from the last lapse once there is one
+    calculateAbstinence() {
+        const quitDate = this.getQuitDate();
+        const lapses = this.getLapses();
+
+        if (lapses.length === 0) {
+            return {
+                ...this.getElapsedTime(quitDate),
+                text: `No use since you quit on ${quitDate.toLocaleDateString()}`
+            };
+        }
+
+        const sinceLastUse = this.calculateTimeSinceLastJoint();
+        return {
+            value: sinceLastUse.value,
+            unit: sinceLastUse.unit,
+            text: `Since your last lapse (${lapses.length} since you quit)`
+        };
+    }
+
+    // Clean days are days since the quit date without any entries, today included
+    getQuitStats() {
+        const quitDate = this.getQuitDate();
+        const usedDays = new Set(this.getLapses().map(entry => new Date(entry.timestamp).toDateString()));
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        let days = 0;
+        let cleanDays = 0;
+        let run = 0;
+        let longestRun = 0;
+        for (const date = new Date(quitDate.getFullYear(), quitDate.getMonth(), quitDate.getDate()); date <= today; date.setDate(date.getDate() + 1)) {
+            days++;
+            if (usedDays.has(date.toDateString())) {
+                run = 0;
+            } else {
+                cleanDays++;
+                run++;
+                longestRun = Math.max(longestRun, run);
+            }
+        }
+
+        // Saved = what the four weeks before quitting cost per day, for every day since, minus what lapses cost
+        const fourWeeksBefore = new Date(quitDate.getTime() - 28 * 24 * 60 * 60 * 1000);
+        const baselineCost = this.entries
+            .filter(entry => {
+                const time = new Date(entry.timestamp);
+                return time >= fourWeeksBefore && time < quitDate;
+            })
+            .reduce((sum, entry) => sum + this.getEntryCost(entry), 0);
+        const lapseCost = this.getLapses().reduce((sum, entry) => sum + this.getEntryCost(entry), 0);
+        const moneySaved = Math.max(baselineCost / 28 * days - lapseCost, 0);
+
+        return { days, cleanDays, longestRun, currentRun: run, moneySaved };
+    }
+
+    updateQuitProgress() {
+        const stats = this.getQuitStats();
+        const lapses = this.getLapses().length;
+
+        document.getElementById('goalProgress').style.width = (stats.days > 0 ? (stats.cleanDays / stats.days) * 100 : 0) + '%';
+        document.getElementById('goalText').textContent = `${stats.cleanDays} of ${stats.days} days clean since you quit` +
+            (lapses > 0 ? ` · ${lapses} lapse${lapses === 1 ? '' : 's'}` : '');
+    }
+
+    // Entry Rendering with Error Handling
+    renderEntries() {
+        try {
+            const container = document.getElementById('entriesContainer');
+            if (!container) {
+                console.error('Entries container not found');
+                return;
+            }
+            
+            if (this.entries.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-leaf"></i>
+                        <h3>No entries yet</h3>
+                        <p>Add your first entry to start tracking your journey</p>
+                    </div>
+                `;
+                this.updateFilterSummary(0);
+                this.renderContextSuggestions();
+                return;
+            }
+
+            const filteredEntries = this.getFilteredEntries();
+            this.updateFilterSummary(filteredEntries.length);
+            this.renderContextSuggestions();
+
+            if (filteredEntries.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-filter"></i>
+                        <h3>No matching entries</h3>
+                        <p>Try changing or clearing the filters</p>
+                    </div>
+                `;
+                return;
+            }
+
+            // Filter out invalid entries, sort by consumption timestamp, and create HTML
+            const validEntries = filteredEntries
+                .filter(entry => this.validateEntry(entry))
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, 20);
+            container.innerHTML = validEntries.map(entry => this.createEntryHTML(entry)).join('');
+
+            // Keep the history browser current while it is open
+            if (document.getElementById('historyModal').style.display === 'block') {
+                this.renderHistory();
+            }
+        } catch (error) {
+            console.error('Error rendering entries:', error);
+            this.showMessage('Failed to display entries. Please refresh the page.', 'error');
+        }
+    }
+
+    createEntryHTML(entry) {
+        const date = new Date(entry.timestamp);
+        const formattedDate = date.toLocaleDateString();
+        const formattedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        const moodEmoji = this.getMoodEmoji(entry.mood);
+        const methodLabel = this.getMethodLabel(entry.method);
+        const tags = entry.tags || [];
+        const product = entry.productId ? this.getProduct(entry.productId) : null;
+        const stash = entry.stashId ? this.getStash(entry.stashId) : null;
+        const context = [
+            product ? product.name : '',
+            stash ? `from ${stash.name}` : '',
+            entry.trigger ? `Trigger: ${this.getTriggerLabel(entry.trigger)}` : '',
+            entry.social ? this.getSocialLabel(entry.social) : '',
+            entry.location ? `at ${entry.location}` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="entry-item${entry.id === this.editingEntryId ? ' editing' : ''}">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${this.formatEntryAmount(entry)}</span>
+                        <span class="entry-method">${methodLabel}</span>
+                        <span class="entry-dose" title="Estimated THC absorbed">~${Math.round(this.getEntryThcMg(entry))}mg THC</span>
+                        ${this.isLapse(entry) ? '<span class="entry-lapse" title="Logged after your quit date">Lapse</span>' : ''}
+                        ${this.getBreakAt(new Date(entry.timestamp)) ? '<span class="entry-lapse" title="Logged during a tolerance break">T-break</span>' : ''}
+                        <span class="entry-time">${formattedDate} at ${formattedTime}${entry.updatedAt ? ' (edited)' : ''}</span>
+                    </div>
+                    ${entry.notes ? `<div class="entry-notes">"${entry.notes}"</div>` : ''}
+                    ${tags.length > 0 || context ? `
+                        <div class="entry-context">
+                            ${tags.map(tag => `<span class="entry-tag">#${tag}</span>`).join('')}
+                            ${context ? `<span>${context}</span>` : ''}
+                        </div>
+                    ` : ''}
+                </div>
+                <div class="entry-actions">
+                    ${entry.mood ? `<span class="entry-mood">${moodEmoji}</span>` : ''}
+                    <button class="btn-icon" onclick="tracker.editEntry(${entry.id})" title="Edit entry">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn-icon" onclick="tracker.deleteEntry(${entry.id})" title="Delete entry">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Entry Filters
+    getDefaultFilters() {
+        return { methods: [], moods: [], search: '', dateFrom: '', dateTo: '', amountMin: null, amountMax: null };
+    }
+
+    isFilterActive() {
+        const filters = this.filters;
+        return filters.methods.length > 0 || filters.moods.length > 0 || filters.search !== '' ||
+            filters.dateFrom !== '' || filters.dateTo !== '' || filters.amountMin !== null || filters.amountMax !== null;
+    }
+
+    getFilteredEntries() {
+        return this.isFilterActive() ? this.entries.filter(entry => this.matchesFilters(entry)) : this.entries;
+    }
+
+    matchesFilters(entry) {
+        const filters = this.filters;
+        const entryDate = new Date(entry.timestamp);
+
+        if (filters.methods.length > 0 && !filters.methods.includes(entry.method)) return false;
+        if (filters.moods.length > 0 && !filters.moods.includes(entry.mood || 'none')) return false;
+        if (filters.search && !(entry.notes || '').toLowerCase().includes(filters.search)) return false;
+        if (filters.dateFrom && entryDate < new Date(`${filters.dateFrom}T00:00`)) return false;
+        if (filters.dateTo) {
+            // The end date is inclusive
+            const dayAfter = new Date(`${filters.dateTo}T00:00`);
+            dayAfter.setDate(dayAfter.getDate() + 1);
+            if (entryDate >= dayAfter) return false;
+        }
+        if (filters.amountMin !== null && this.getEntryGrams(entry) < filters.amountMin) return false;
+        if (filters.amountMax !== null && this.getEntryGrams(entry) > filters.amountMax) return false;
+
+        return true;
+    }
+
+    readFilterForm() {
+        const checkedValues = (containerId) => Array.from(document.querySelectorAll(`#${containerId} input:checked`))
+            .map(input => input.value);
+        const readAmount = (id) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) && value >= 0 ? value : null;
+        };
+        const readDate = (id) => {
+            const value = document.getElementById(id).value;
+            return value && this.isValidDate(`${value}T00:00`) ? value : '';
+        };
+
+        return {
+            methods: checkedValues('filterMethods'),
+            moods: checkedValues('filterMoods'),
+            search: this.sanitizeInput(document.getElementById('filterSearch').value, 100).toLowerCase(),
+            dateFrom: readDate('filterDateFrom'),
+            dateTo: readDate('filterDateTo'),
+            amountMin: readAmount('filterAmountMin'),
+            amountMax: readAmount('filterAmountMax')
+        };
+    }
+
+    applyFilters() {
+        this.filters = this.readFilterForm();
+        this.renderEntries();
+        this.updateExpandedCharts();
+    }
+
+    clearFilters() {
+        document.getElementById('filterForm').reset();
+        this.applyFilters();
+    }
+
+    toggleFilterBar() {
+        const filterForm = document.getElementById('filterForm');
+        filterForm.style.display = filterForm.style.display === 'none' ? 'block' : 'none';
+    }
+
+    updateFilterSummary(matchCount) {
+        const active = this.isFilterActive();
+        document.getElementById('filterToggle').className = active ? 'btn btn-primary' : 'btn btn-secondary';
+        document.getElementById('filterSummary').textContent = active
+            ? `Showing ${matchCount} of ${this.entries.length} entries. Charts and exports use the same filter.`
+            : '';
+    }
+
+    // History Browser
+    getHistoryPageSize() {
+        return 50;
+    }
+
+    // Groups entries by day (newest first) and splits them into pages of whole days,
+    // so only one page of entries is rendered at a time
+    buildHistoryPages() {
+        const days = [];
+        this.getFilteredEntries()
+            .filter(entry => this.validateEntry(entry))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .forEach(entry => {
+                const date = new Date(entry.timestamp);
+                const key = date.toDateString();
+                const lastDay = days[days.length - 1];
+                if (lastDay && lastDay.key === key) {
+                    lastDay.entries.push(entry);
+                } else {
+                    days.push({ key: key, date: new Date(date.getFullYear(), date.getMonth(), date.getDate()), entries: [entry] });
+                }
+            });
+
+        const pages = [];
+        let page = [];
+        let pageEntryCount = 0;
+        days.forEach(day => {
+            if (page.length > 0 && pageEntryCount + day.entries.length > this.getHistoryPageSize()) {
+                pages.push(page);
+                page = [];
+                pageEntryCount = 0;
+            }
+            page.push(day);
+            pageEntryCount += day.entries.length;
+        });
+        if (page.length > 0) {
+            pages.push(page);
+        }
+
+        return pages;
+    }
+
+    openHistoryModal() {
+        this.historyPage = 0;
+        document.getElementById('historyJumpDate').value = '';
+        document.getElementById('historyModal').style.display = 'block';
+        this.renderHistory();
+    }
+
+    closeHistoryModal() {
+        document.getElementById('historyModal').style.display = 'none';
+    }
+
+    changeHistoryPage(delta) {
+        this.historyPage += delta;
+        this.renderHistory();
+        document.getElementById('historyList').scrollTop = 0;
+    }
+
+    renderHistory() {
+        try {
+            const list = document.getElementById('historyList');
+            const pages = this.buildHistoryPages();
+            const pagination = document.getElementById('historyPagination');
+
+            if (pages.length === 0) {
+                list.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-leaf"></i>
+                        <h3>${this.isFilterActive() ? 'No matching entries' : 'No entries yet'}</h3>
+                        <p>${this.isFilterActive() ? 'Try changing or clearing the filters' : 'Your full history will appear here'}</p>
+                    </div>
+                `;
+                document.getElementById('historySummary').textContent = '';
+                pagination.style.display = 'none';
+                return;
+            }
+
+            this.historyPage = Math.min(Math.max(this.historyPage, 0), pages.length - 1);
+            const dayCount = pages.reduce((sum, page) => sum + page.length, 0);
+            const entryCount = pages.reduce((sum, page) => sum + page.reduce((total, day) => total + day.entries.length, 0), 0);
+
+            document.getElementById('historySummary').textContent = `${entryCount} entries over ${dayCount} days` +
+                (this.isFilterActive() ? ' (filtered)' : '');
+            list.innerHTML = pages[this.historyPage].map(day => this.createHistoryDayHTML(day)).join('');
+
+            pagination.style.display = pages.length > 1 ? 'flex' : 'none';
+            document.getElementById('historyPageLabel').textContent = `Page ${this.historyPage + 1} of ${pages.length}`;
+            document.getElementById('historyNewerButton').disabled = this.historyPage === 0;
+            document.getElementById('historyOlderButton').disabled = this.historyPage === pages.length - 1;
+        } catch (error) {
+            console.error('Error rendering history:', error);
+            this.showMessage('Failed to display history. Please try again.', 'error');
+        }
+    }
+
+    createHistoryDayHTML(day) {
+        const dayTotal = this.sumDoses(day.entries);
+        const label = day.date.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+        const sessions = day.entries.length === 1 ? '1 session' : `${day.entries.length} sessions`;
+
+        return `
+            <div class="history-day" data-day="${day.key}">
+                <div class="history-day-header">
+                    <span>${label}</span>
+                    <span class="history-day-total">${sessions} · ${this.formatDose(dayTotal)}</span>
+                </div>
+                ${day.entries.map(entry => this.createEntryHTML(entry)).join('')}
+            </div>
+        `;
+    }
+
+    // Shows the chosen day, or the closest earlier day with entries
+    jumpToHistoryDate() {
+        const value = document.getElementById('historyJumpDate').value;
+        if (!value || !this.isValidDate(`${value}T00:00`)) {
+            this.showMessage('Please choose a date to jump to.', 'error');
+            return;
+        }
+
+        const target = new Date(`${value}T00:00`);
+        const pages = this.buildHistoryPages();
+        const pageIndex = pages.findIndex(page => page.some(day => day.date <= target));
+        if (pageIndex === -1) {
+            this.showMessage('No entries on or before that date.', 'info');
+            return;
+        }
+
+        const day = pages[pageIndex].find(item => item.date <= target);
+        this.historyPage = pageIndex;
+        this.renderHistory();
+
+        const dayElement = document.querySelector(`#historyList [data-day="${day.key}"]`);
+        if (dayElement) {
+            dayElement.classList.add('highlight');
+            if (typeof dayElement.scrollIntoView === 'function') {
+                dayElement.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        }
+
+        if (day.key !== target.toDateString()) {
+            this.showMessage(`No entries on that day. Showing ${day.date.toLocaleDateString()}.`, 'info');
+        }
+    }
+
+    getMoodEmoji(mood) {
+        const moodMap = {
+            'great': '😊',
+            'good': '🙂',
+            'neutral': '😐',
+            'bad': '😔',
+            'terrible': '😢'
+        };
+        return moodMap[mood] || '';
+    }
+
+    getMethodLabel(method) {
+        const methodMap = {
+            'joint': 'Joint',
+            'bong': 'Bong',
+            'pipe': 'Pipe',
+            'cigarette': 'Cigarette',
+            'vape': 'Vape',
+            'edible': 'Edible',
+            'other': 'Other'
+        };
+        return methodMap[method] || method;
+    }
+
+    getTriggerLabels() {
+        return {
+            'stress': 'Stress',
+            'boredom': 'Boredom',
+            'social': 'Social',
+            'sleep': 'Sleep',
+            'anxiety': 'Anxiety',
+            'pain': 'Pain',
+            'habit': 'Habit',
+            'other': 'Other'
+        };
+    }
+
+    getTriggerLabel(trigger) {
+        return this.getTriggerLabels()[trigger] || trigger;
+    }
+
+    getSocialLabels() {
+        return {
+            'alone': 'Alone',
+            'others': 'With others'
+        };
+    }
+
+    getSocialLabel(social) {
+        return this.getSocialLabels()[social] || social;
+    }
+
+    // Tags are typed comma-separated; they are stored lowercase, without duplicates,
+    // and limited to letters, numbers, spaces, dashes and underscores
+    parseTags(value) {
+        const tags = [];
+        String(value || '').split(',').forEach(part => {
+            const tag = part.toLowerCase().replace(/[^\p{L}\p{N} _-]/gu, '').replace(/\s+/g, ' ').trim().substring(0, 30);
+            if (tag && !tags.includes(tag)) {
+                tags.push(tag);
+            }
+        });
+        return tags.slice(0, 10);
+    }
+
+    // Most used tags as one-click suggestions, and past locations for the location field
+    renderContextSuggestions() {
+        const tagCounts = {};
+        const locations = new Set();
+        this.entries.forEach(entry => {
+            (entry.tags || []).forEach(tag => {
+                tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+            });
+            if (entry.location) {
+                locations.add(entry.location);
+            }
+        });
+
+        const container = document.getElementById('tagSuggestions');
+        const topTags = Object.keys(tagCounts).sort((a, b) => tagCounts[b] - tagCounts[a]).slice(0, 8);
+        container.innerHTML = topTags.map(tag => `<button type="button" class="tag-suggestion" data-tag="${tag}">#${tag}</button>`).join('');
+
+        const datalist = document.getElementById('locationSuggestions');
+        datalist.innerHTML = '';
+        locations.forEach(location => {
+            const option = document.createElement('option');
+            option.value = location;
+            datalist.appendChild(option);
+        });
+    }
+
+    addTagToForm(tag) {
+        const tagsInput = document.getElementById('tags');
+        const tags = this.parseTags(tagsInput.value);
+        if (!tags.includes(tag)) {
+            tags.push(tag);
+        }
+        tagsInput.value = tags.join(', ');
+    }
+
+    // Goal Management with Validation
+    saveGoal() {
+        try {
+            const goalType = document.getElementById('goalType').value;
+            
+            // Validate goal type
+            if (!goalType || !['reduce', 'maintain', 'quit'].includes(goalType)) {
+                this.showMessage('Please select a valid goal type.', 'error');
+                return;
+            }
+
+            const weeklyGoal = parseFloat(document.getElementById('weeklyGoal').value || '0');
+            const budgetValue = document.getElementById('budgetAmount').value;
+            const budgetAmount = parseFloat(budgetValue || '0');
+            
+            // Validate weekly goal
+            if (isNaN(weeklyGoal) || weeklyGoal < 0) {
+                this.showMessage('Please enter a valid weekly goal amount (0 or greater).', 'error');
+                return;
+            }
+
+            // Validate budget
+            if (isNaN(budgetAmount) || budgetAmount < 0 || budgetAmount > 1000000) {
+                this.showMessage('Please enter a valid budget (0 or greater).', 'error');
+                return;
+            }
+
+            let quitDate = null;
+            if (goalType === 'quit') {
+                const quitValue = document.getElementById('quitDate').value;
+                quitDate = quitValue ? new Date(`${quitValue}T00:00`) : new Date(new Date().setHours(0, 0, 0, 0));
+
+                if (isNaN(quitDate.getTime()) || quitDate > new Date()) {
+                    this.showMessage('Please enter a quit date that is today or earlier.', 'error');
+                    return;
+                }
+            }
+
+            if (goalType !== 'quit' && !weeklyGoal && !budgetAmount) {
+                this.showMessage('Please enter a weekly amount goal, a budget, or both.', 'error');
+                return;
+            }
+
+            const goalData = {
+                goalType: goalType,
+                startDate: new Date().toISOString(),
+                weeklyAmount: goalType === 'quit' ? 0 : weeklyGoal,
+                weeklyUnit: document.getElementById('weeklyGoalUnit').value === 'thc' ? 'thc' : 'grams',
+                budgetAmount: budgetAmount,
+                budgetPeriod: document.getElementById('budgetPeriod').value === 'week' ? 'week' : 'month',
+                budgetSource: document.getElementById('budgetSource').value === 'purchases' ? 'purchases' : 'estimated',
+                taper: null, // A goal set by hand replaces the taper plan
+                quitDate: quitDate ? quitDate.toISOString() : null,
+                rules: this.goals.rules || []
+            };
+
+            // Validate the complete goal data
+            if (!this.validateGoals(goalData)) {
+                this.showMessage('Invalid goal data. Please check your input.', 'error');
+                return;
+            }
+
+            this.goals = goalData;
+            this.saveGoals();
+            this.updateGoalProgress();
+            this.updateStreak();
+            this.renderEntries(); // Lapse badges follow the quit date
+            this.closeGoalModal();
+            this.showMessage('Goal saved successfully!', 'success');
+        } catch (error) {
+            console.error('Error saving goal:', error);
+            this.showMessage('Failed to save goal. Please try again.', 'error');
+        }
+    }
+
+    resetGoal() {
+        this.showConfirmModal(
+            'Are you sure you want to reset your current goal? This will clear your goal settings.',
+            () => {
+                const before = this.captureUndoState();
+                this.goals = {
+                    weeklyAmount: 0,
+                    goalType: 'reduce',
+                    startDate: null,
+                    weeklyUnit: 'grams',
+                    budgetAmount: 0,
+                    budgetPeriod: this.goals.budgetPeriod || 'month',
+                    budgetSource: this.goals.budgetSource || 'estimated',
+                    taper: null,
+                    quitDate: null,
+                    rules: this.goals.rules || []
+                };
+                this.recordUndo('Reset goal', before);
+                this.saveGoals();
+                this.updateGoalProgress();
+                this.updateStreak();
+                this.renderEntries();
+                this.showMessage('Goal reset successfully!', 'success', this.getUndoToastAction());
+            }
+        );
+    }
+
+    // Utility Functions with Enhanced Safety
+    setDefaultDateTime() {
+        try {
+            const now = new Date();
+            const localDateTime = new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+                .toISOString()
+                .slice(0, 16);
+            
+            const timeInput = document.getElementById('time');
+            if (timeInput) {
+                timeInput.value = localDateTime;
+            }
+        } catch (error) {
+            console.error('Error setting default date time:', error);
+        }
+    }
+
+    // Update time field in real-time
+    updateTimeField() {
+        try {
+            const timeInput = document.getElementById('time');
+            if (timeInput) {
+                // Only update if the input is not focused AND user hasn't manually changed it
+                if (document.activeElement !== timeInput && !this.timeManuallyChanged) {
+                    const now = new Date();
+                    const localDateTime = new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+                        .toISOString()
+                        .slice(0, 16);
+                    timeInput.value = localDateTime;
+                }
+            }
+        } catch (error) {
+            console.error('Error updating time field:', error);
+        }
+    }
+
+    // Input sanitization
+    sanitizeInput(input, maxLength = 1000) {
+        if (typeof input !== 'string') {
+            return '';
+        }
+        
+        // Remove potentially dangerous characters and limit length
+        return input
+            .replace(/[<>]/g, '') // Remove < and > to prevent HTML injection
+            .substring(0, maxLength)
+            .trim();
+    }
+
+    // Imported and synced text is rendered as HTML too, so it has to be unchanged by sanitizeInput
+    isSanitizedText(value, maxLength = 1000) {
+        return typeof value === 'string' && value === this.sanitizeInput(value, maxLength);
+    }
+
+    // Safe DOM element access
+    getElementSafely(id) {
+        try {
+            const element = document.getElementById(id);
+            if (!element) {
+                console.warn(`Element with id '${id}' not found`);
+            }
+            return element;
+        } catch (error) {
+            console.error(`Error accessing element '${id}':`, error);
+            return null;
+        }
+    }
+
+    showMessage(message, type = 'success', action = null) {
+        try {
+            // Remove existing messages
+            const existingMessages = document.querySelectorAll('.message');
+            existingMessages.forEach(msg => {
+                try {
+                    msg.remove();
+                } catch (error) {
+                    console.error('Error removing message:', error);
+                }
+            });
+
+            // Sanitize message
+            const sanitizedMessage = this.sanitizeInput(message, 200);
+
+            // Create new message
+            const messageDiv = document.createElement('div');
+            messageDiv.className = `message ${type}`;
+            messageDiv.textContent = sanitizedMessage;
+
+            // Add icon based on type
+            const icon = type === 'success' ? '✓' : type === 'error' ? '✗' : 'ℹ';
+            messageDiv.innerHTML = `<span class="message-icon">${icon}</span> ${sanitizedMessage}`;
+
+            // Optional action button, e.g. "Undo"
+            if (action) {
+                const actionButton = document.createElement('button');
+                actionButton.type = 'button';
+                actionButton.className = 'message-action';
+                actionButton.textContent = action.label;
+                actionButton.addEventListener('click', () => {
+                    messageDiv.remove();
+                    action.onClick();
+                });
+                messageDiv.appendChild(actionButton);
+            }
+
+            // Append to body for floating effect
+            document.body.appendChild(messageDiv);
+
+            // Trigger animation by adding show class after a small delay
+            setTimeout(() => {
+                messageDiv.classList.add('show');
+            }, 10);
+
+            // Auto remove after appropriate time
+            const duration = type === 'error' || action ? 5000 : 3000; // Errors and actions stay longer
+            setTimeout(() => {
+                messageDiv.classList.remove('show');
+                setTimeout(() => {
+                    try {
+                        messageDiv.remove();
+                    } catch (error) {
+                        console.error('Error removing message:', error);
+                    }
+                }, 300);
+            }, duration);
+
+            // Log message for debugging
+            console.log(`[${type.toUpperCase()}] ${sanitizedMessage}`);
+        } catch (error) {
+            console.error('Error showing message:', error);
+            // Fallback to alert if message system fails
+            alert(`${type.toUpperCase()}: ${message}`);
+        }
+    }
+
+    // Export/Import with Error Handling
+    exportData() {
+        try {
+            const data = this.buildExportData();
+
+            // Validate data before export
+            if (!this.validateExportData(data)) {
+                this.showMessage('Data validation failed. Cannot export.', 'error');
+                return;
+            }
+
+            this.downloadFile(
+                JSON.stringify(data, null, 2),
+                `weed-tracker-export-${new Date().toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
+
+            this.showMessage(this.getExportSuccessMessage('Data exported successfully!'), 'success');
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            this.showMessage('Failed to export data. Please try again.', 'error');
+        }
+    }
+
+    // Same payload as exportData, wrapped in a password-protected envelope
+    exportEncryptedData() {
+        try {
+            if (!this.isCryptoAvailable()) {
+                this.showMessage('Encryption is not supported here. Open the app over HTTPS or in a modern browser.', 'error');
+                return;
+            }
+
+            const data = this.buildExportData();
+            if (!this.validateExportData(data)) {
+                this.showMessage('Data validation failed. Cannot export.', 'error');
+                return;
+            }
+
+            this.showPasswordModal({
+                title: 'Export Encrypted',
+                message: 'Choose a password for the export file. You will need it to import the file again.',
+                requireConfirmation: true
+            }, async (password) => {
+                const envelope = await this.createExportEnvelope(data, password);
+                this.downloadFile(
+                    JSON.stringify(envelope, null, 2),
+                    `weed-tracker-export-${new Date().toISOString().split('T')[0]}.wtenc`,
+                    'application/octet-stream'
+                );
+                this.showMessage(this.getExportSuccessMessage('Encrypted export created successfully!'), 'success');
+                return true;
+            });
+        } catch (error) {
+            console.error('Error exporting encrypted data:', error);
+            this.showMessage('Failed to export data. Please try again.', 'error');
+        }
+    }
+
+    buildExportData() {
+        return {
+            schemaVersion: this.getCurrentSchemaVersion(),
+            entries: this.getFilteredEntries(),
+            goals: this.goals,
+            settings: this.settings,
+            cravings: this.cravings,
+            products: this.products,
+            purchases: this.purchases,
+            stashes: this.stashes,
+            breaks: this.breaks,
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    getExportSuccessMessage(defaultMessage) {
+        if (!this.isFilterActive()) {
+            return defaultMessage;
+        }
+        const count = this.getFilteredEntries().length;
+        return `Exported ${count} filtered ${count === 1 ? 'entry' : 'entries'} successfully!`;
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // CSV Export/Import
+    getCsvColumns() {
+        return ['id', 'timestamp', 'amount', 'unit', 'method', 'mood', 'notes', 'tags', 'trigger', 'social', 'location'];
+    }
+
+    // Fields the column mapping step asks for, in the order shown
+    getCsvMappingFields() {
+        return ['timestamp', 'amount', 'method', 'mood', 'notes', 'id', 'tags', 'trigger', 'social', 'location', 'unit'];
+    }
+
+    exportCSV() {
+        try {
+            const csv = this.entriesToCSV(this.getFilteredEntries());
+
+            // The BOM makes spreadsheet apps read the file as UTF-8
+            this.downloadFile(
+                '\uFEFF' + csv,
+                `weed-tracker-entries-${new Date().toISOString().split('T')[0]}.csv`,
+                'text/csv;charset=utf-8'
+            );
+
+            this.showMessage(this.getExportSuccessMessage('Entries exported to CSV successfully!'), 'success');
+        } catch (error) {
+            console.error('Error exporting CSV:', error);
+            this.showMessage('Failed to export CSV. Please try again.', 'error');
+        }
+    }
+
+    entriesToCSV(entries) {
+        const columns = this.getCsvColumns();
+        const rows = entries.map(entry => columns.map(column => this.escapeCSVField(
+            column === 'tags' ? (entry.tags || []).join(', ') : entry[column]
+        )).join(','));
+        return [columns.join(','), ...rows].join('\r\n');
+    }
+
+    // Quote fields containing commas, quotes or line breaks and double any quotes (RFC 4180)
+    escapeCSVField(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+
+        const text = String(value);
+        if (/[",\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    // Returns an array of rows, each an array of field strings
+    parseCSV(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const firstLine = input.split(/\r?\n/, 1)[0] || '';
+        // Spreadsheets in many locales save with semicolons
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Drop blank lines
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    startCsvImport(text) {
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) {
+            this.showMessage('The CSV file needs a header row and at least one entry.', 'error');
+            return;
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        this.pendingCsvImport = { headers: headers, rows: rows.slice(1) };
+
+        document.getElementById('csvMappingSummary').textContent =
+            `Found ${rows.length - 1} rows. Choose which column holds each field.`;
+
+        this.getCsvMappingFields().forEach(field => {
+            const select = document.getElementById(`csvMap_${field}`);
+            const guess = this.guessCsvColumn(headers, field);
+            select.innerHTML = '<option value="">Not in file</option>' +
+                headers.map((header, index) => `<option value="${index}">${this.sanitizeInput(header, 100) || `Column ${index + 1}`}</option>`).join('');
+            select.value = guess === -1 ? '' : String(guess);
+        });
+
+        document.getElementById('csvMappingModal').style.display = 'block';
+    }
+
+    guessCsvColumn(headers, field) {
+        const aliases = {
+            timestamp: ['timestamp', 'date', 'datetime', 'date time', 'time', 'when', 'created'],
+            amount: ['amount', 'grams', 'quantity', 'qty', 'g'],
+            method: ['method', 'type', 'how', 'consumption'],
+            mood: ['mood', 'feeling'],
+            notes: ['notes', 'note', 'comment', 'comments', 'description'],
+            id: ['id'],
+            tags: ['tags', 'tag', 'labels'],
+            trigger: ['trigger', 'reason', 'why'],
+            social: ['social', 'setting', 'company', 'with'],
+            location: ['location', 'place', 'where'],
+            unit: ['unit', 'units', 'uom']
+        };
+        const normalized = headers.map(header => header.toLowerCase().replace(/[_-]/g, ' ').trim());
+
+        for (const alias of aliases[field]) {
+            const index = normalized.indexOf(alias);
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    closeCsvMappingModal() {
+        document.getElementById('csvMappingModal').style.display = 'none';
+        this.pendingCsvImport = null;
+    }
+
+    confirmCsvMapping() {
+        if (!this.pendingCsvImport) {
+            return;
+        }
+
+        const mapping = {};
+        this.getCsvMappingFields().forEach(field => {
+            const value = document.getElementById(`csvMap_${field}`).value;
+            mapping[field] = value === '' ? -1 : parseInt(value, 10);
+        });
+
+        if (mapping.timestamp === -1 || mapping.amount === -1) {
+            this.showMessage('Please choose the columns for date/time and amount.', 'error');
+            return;
+        }
+
+        const takenIds = new Set(this.entries.map(entry => entry.id));
+        const entries = [];
+        let skipped = 0;
+
+        this.pendingCsvImport.rows.forEach(row => {
+            const entry = this.csvRowToEntry(row, mapping, takenIds);
+            if (entry) {
+                entries.push(entry);
+            } else {
+                skipped++;
+            }
+        });
+
+        this.closeCsvMappingModal();
+
+        if (entries.length === 0) {
+            this.showMessage('No valid entries were found in the CSV file.', 'error');
+            return;
+        }
+
+        if (skipped > 0) {
+            this.showMessage(`${skipped} rows could not be read and will be skipped.`, 'info');
+        }
+
+        // CSV only carries entries, so the current goals and settings go along unchanged
+        this.processImportedData({
+            schemaVersion: this.getCurrentSchemaVersion(),
+            entries: entries,
+            goals: this.goals,
+            settings: this.settings,
+            exportDate: new Date().toISOString()
+        });
+    }
+
+    // Applies the same checks as addEntry; returns null for rows that cannot be imported
+    csvRowToEntry(row, mapping, takenIds) {
+        const read = (field) => mapping[field] === -1 ? '' : (row[mapping[field]] || '').trim();
+
+        // Amounts without a unit column are grams
+        const unit = this.normalizeUnit(read('unit'));
+        const amount = parseFloat(read('amount').replace(',', '.'));
+        if (!amount || amount <= 0 || amount > this.getAmountUnits()[unit].max) {
+            return null;
+        }
+
+        // Date-only values would be read as UTC midnight, so they are taken as local dates instead
+        const timestampValue = read('timestamp');
+        const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(timestampValue) ? `${timestampValue}T00:00` : timestampValue);
+        if (!this.isValidDate(date)) {
+            return null;
+        }
+
+        const method = this.normalizeMethod(read('method'));
+        const moodValue = read('mood').toLowerCase();
+        const mood = ['great', 'good', 'neutral', 'bad', 'terrible'].includes(moodValue) ? moodValue : '';
+        const triggerValue = read('trigger').toLowerCase();
+        const trigger = Object.keys(this.getTriggerLabels()).includes(triggerValue) ? triggerValue : (triggerValue ? 'other' : '');
+        const socialValue = read('social').toLowerCase();
+        const social = socialValue === 'alone' ? 'alone' : (socialValue.includes('other') ? 'others' : '');
+
+        const parsedId = Number(read('id'));
+        const id = read('id') !== '' && Number.isFinite(parsedId) && parsedId > 0 && !takenIds.has(parsedId)
+            ? parsedId
+            : this.generateEntryId(takenIds);
+        takenIds.add(id);
+
+        const entry = {
+            id: id,
+            amount: amount,
+            unit: unit,
+            method: method,
+            notes: this.sanitizeInput(read('notes')),
+            mood: mood,
+            timestamp: this.toLocalDateTimeString(date),
+            tags: this.parseTags(read('tags').replace(/[;|]/g, ',')),
+            social: social,
+            location: this.sanitizeInput(read('location'), 100),
+            trigger: trigger,
+            createdAt: new Date().toISOString()
+        };
+
+        return this.validateEntry(entry) ? entry : null;
+    }
+
+    // Map method names from other apps onto the method whitelist
+    normalizeMethod(value) {
+        const normalized = value.toLowerCase().trim();
+        const methods = ['joint', 'bong', 'pipe', 'cigarette', 'vape', 'edible', 'other'];
+        if (methods.includes(normalized)) {
+            return normalized;
+        }
+
+        const match = methods.find(method => normalized.startsWith(method));
+        return match || 'other';
+    }
+
+    normalizeUnit(value) {
+        const normalized = value.toLowerCase().replace(/[\s_-]/g, '');
+        const aliases = {
+            mg: ['mg', 'mgthc', 'milligrams'],
+            puffs: ['puff', 'puffs', 'hits'],
+            ml: ['ml', 'milliliters', 'millilitres'],
+            count: ['count', 'pcs', 'pieces', 'preroll', 'prerolls']
+        };
+        return Object.keys(aliases).find(unit => aliases[unit].includes(normalized)) || 'g';
+    }
+
+    // Same format as the datetime-local input: YYYY-MM-DDTHH:mm in local time
+    toLocalDateTimeString(date) {
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000)
+            .toISOString()
+            .slice(0, 16);
+    }
+
+    importData() {
+        try {
+            // Check if required methods are available
+            if (typeof this.showMessage !== 'function') {
+                console.error('showMessage method not available');
+                alert('Application not fully loaded. Please refresh the page and try again.');
+                return;
+            }
+
+            if (typeof this.showConfirmModal !== 'function') {
+                console.error('showConfirmModal method not available');
+                this.showMessage('Application not fully loaded. Please refresh the page and try again.', 'error');
+                return;
+            }
+
+            // Create file input element
+            const fileInput = document.createElement('input');
+            fileInput.type = 'file';
+            fileInput.accept = '.json,.wtenc,.csv';
+            fileInput.style.display = 'none';
+            
+            fileInput.addEventListener('change', (event) => {
+                try {
+                    const file = event.target.files[0];
+                    if (!file) {
+                        return;
+                    }
+
+                    // Validate file type
+                    const isCsv = file.type === 'text/csv' || file.name.toLowerCase().endsWith('.csv');
+                    if (file.type !== 'application/json' && !file.name.endsWith('.json') && !file.name.endsWith('.wtenc') && !isCsv) {
+                        this.showMessage('Please select a valid JSON, CSV or encrypted export file.', 'error');
+                        return;
+                    }
+
+                    // Validate file size (max 10MB)
+                    if (file.size > 10 * 1024 * 1024) {
+                        this.showMessage('File is too large. Please select a file smaller than 10MB.', 'error');
+                        return;
+                    }
+
+                    const reader = new FileReader();
+                    reader.onload = (e) => {
+                        try {
+                            if (isCsv) {
+                                this.startCsvImport(e.target.result);
+                                return;
+                            }
+
+                            const parsed = JSON.parse(e.target.result);
+
+                            // Encrypted exports have to be decrypted before they can be validated
+                            if (this.isExportEnvelope(parsed)) {
+                                this.importEncryptedData(parsed);
+                                return;
+                            }
+
+                            this.processImportedData(parsed);
+                        } catch (error) {
+                            console.error('Error parsing imported file:', error);
+                            this.showMessage('Failed to parse the file. Please check if it\'s a valid export file.', 'error');
+                        }
+                    };
+
+                    reader.onerror = () => {
+                        this.showMessage('Failed to read the file. Please try again.', 'error');
+                    };
+
+                    reader.readAsText(file);
+                } catch (error) {
+                    console.error('Error in file change handler:', error);
+                    this.showMessage('Error processing file. Please try again.', 'error');
+                }
+            });
+
+            // Trigger file selection
+            document.body.appendChild(fileInput);
+            fileInput.click();
+            document.body.removeChild(fileInput);
+            
+        } catch (error) {
+            console.error('Error importing data:', error);
+            if (typeof this.showMessage === 'function') {
+                this.showMessage('Failed to import data. Please try again.', 'error');
+            } else {
+                alert('Failed to import data. Please refresh the page and try again.');
+            }
+        }
+    }
+
+    processImportedData(data) {
+        const importedData = this.migrateImportData(data);
+        if (importedData === null) {
+            this.showMessage('This file was created by a newer version of Weed Tracker. Please update the app to import it.', 'error');
+            return;
+        }
+        
+        // Validate imported data structure
+        if (!this.validateImportData(importedData)) {
+            this.showMessage('Invalid data format. Please select a valid export file.', 'error');
+            return;
+        }
+
+        // Show confirmation modal with import details
+        this.showImportConfirmation(importedData);
+    }
+
+    importEncryptedData(envelope) {
+        if (envelope.version !== 1) {
+            this.showMessage('This encrypted file was created by a newer version of Weed Tracker. Please update the app to import it.', 'error');
+            return;
+        }
+
+        if (!this.isValidExportKdf(envelope.kdf)) {
+            this.showMessage('This encrypted file is damaged or uses unsupported key settings.', 'error');
+            return;
+        }
+
+        if (!this.isCryptoAvailable()) {
+            this.showMessage('Encryption is not supported here. Open the app over HTTPS or in a modern browser.', 'error');
+            return;
+        }
+
+        this.showPasswordModal({
+            title: 'Import Encrypted File',
+            message: 'This export is password protected. Enter its password to continue.',
+            requireConfirmation: false
+        }, async (password) => {
+            const data = await this.openExportEnvelope(envelope, password);
+            if (data === null) {
+                return false;
+            }
+
+            this.processImportedData(data);
+            return true;
+        });
+    }
+
+    validateImportData(data) {
+        try {
+            if (!data || typeof data !== 'object') {
+                return false;
+            }
+
+            // Check for required fields
+            if (!Array.isArray(data.entries)) {
+                return false;
+            }
+
+            if (!this.validateGoals(data.goals)) {
+                return false;
+            }
+
+            if (!this.validateSettings(data.settings)) {
+                return false;
+            }
+
+            // Validate each entry in the imported data
+            for (const entry of data.entries) {
+                if (!this.validateEntry(entry)) {
+                    return false;
+                }
+            }
+
+            // Files exported before the craving log, product catalog, purchase ledger, stashes or breaks lack them
+            if (data.cravings !== undefined && !this.validateCravings(data.cravings)) {
+                return false;
+            }
+
+            if (data.products !== undefined && !this.validateProducts(data.products)) {
+                return false;
+            }
+
+            if (data.purchases !== undefined && !this.validatePurchases(data.purchases)) {
+                return false;
+            }
+
+            if (data.stashes !== undefined && !this.validateStashes(data.stashes)) {
+                return false;
+            }
+
+            if (data.breaks !== undefined && !this.validateBreaks(data.breaks)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Import data validation error:', error);
+            return false;
+        }
+    }
+
+    showImportConfirmation(importedData) {
+        const entryCount = importedData.entries.length;
+        const exportDate = importedData.exportDate ? new Date(importedData.exportDate).toLocaleDateString() : 'Unknown';
+        const analysis = this.analyzeImportedEntries(importedData.entries);
+
+        document.getElementById('importSummary').textContent = `Import ${entryCount} entries from ${exportDate}?`;
+        document.getElementById('importNewCount').textContent = analysis.newEntries.length;
+        document.getElementById('importDuplicateCount').textContent = analysis.duplicates.length;
+        document.getElementById('importConflictCount').textContent = analysis.conflicts.length;
+        document.getElementById('conflictGroup').style.display = analysis.conflicts.length > 0 ? 'block' : 'none';
+
+        document.getElementById('importForm').reset();
+        this.pendingImport = { data: importedData, analysis: analysis };
+        this.toggleImportFields();
+        document.getElementById('importModal').style.display = 'block';
+    }
+
+    toggleImportFields() {
+        const isMerge = document.getElementById('importMode').value === 'merge';
+        document.getElementById('mergeOptions').style.display = isMerge ? 'block' : 'none';
+        document.getElementById('replaceWarning').style.display = isMerge ? 'none' : 'block';
+    }
+
+    closeImportModal() {
+        document.getElementById('importModal').style.display = 'none';
+        this.pendingImport = null;
+    }
+
+    confirmImport() {
+        if (!this.pendingImport) {
+            return;
+        }
+
+        const { data, analysis } = this.pendingImport;
+        const options = {
+            mode: document.getElementById('importMode').value,
+            conflictResolution: document.getElementById('conflictResolution').value,
+            goalsSource: document.getElementById('goalsSource').value,
+            settingsSource: document.getElementById('settingsSource').value
+        };
+
+        this.closeImportModal();
+        this.performImport(data, options, analysis);
+    }
+
+    // Sort imported entries into new ones, exact duplicates and id collisions with different content.
+    // Ids come from Date.now(), so two devices can hand out the same id for different entries.
+    analyzeImportedEntries(importedEntries) {
+        const existingById = new Map(this.entries.map(entry => [entry.id, entry]));
+        const existingFingerprints = new Set(this.entries.map(entry => this.getEntryFingerprint(entry)));
+        const analysis = { newEntries: [], duplicates: [], conflicts: [] };
+
+        importedEntries.forEach(imported => {
+            const existing = existingById.get(imported.id);
+
+            if (existing) {
+                if (this.isSameEntryContent(existing, imported)) {
+                    analysis.duplicates.push(imported);
+                } else {
+                    analysis.conflicts.push({ existing: existing, imported: imported });
+                }
+            } else if (existingFingerprints.has(this.getEntryFingerprint(imported))) {
+                analysis.duplicates.push(imported);
+            } else {
+                analysis.newEntries.push(imported);
+            }
+        });
+
+        return analysis;
+    }
+
+    getEntryFingerprint(entry) {
+        return `${new Date(entry.timestamp).getTime()}|${entry.amount}|${entry.unit || 'g'}|${entry.method}`;
+    }
+
+    isSameEntryContent(a, b) {
+        return this.getEntryFingerprint(a) === this.getEntryFingerprint(b) &&
+            (a.notes || '') === (b.notes || '') &&
+            (a.mood || '') === (b.mood || '') &&
+            (a.tags || []).join(',') === (b.tags || []).join(',') &&
+            (a.social || '') === (b.social || '') &&
+            (a.location || '') === (b.location || '') &&
+            (a.trigger || '') === (b.trigger || '') &&
+            (a.productId || null) === (b.productId || null) &&
+            (a.stashId || null) === (b.stashId || null);
+    }
+
+    // Entry ids are millisecond timestamps; bump past any id that is already taken
+    generateEntryId(takenIds = new Set(this.entries.map(entry => entry.id))) {
+        let id = Date.now();
+        while (takenIds.has(id)) {
+            id++;
+        }
+        takenIds.add(id);
+        return id;
+    }
+
+    mergeImportedEntries(analysis, conflictResolution) {
+        const takenIds = new Set(this.entries.map(entry => entry.id));
+        const merged = [...this.entries, ...analysis.newEntries];
+        analysis.newEntries.forEach(entry => takenIds.add(entry.id));
+
+        analysis.conflicts.forEach(({ existing, imported }) => {
+            if (conflictResolution === 'useImported') {
+                merged[merged.indexOf(existing)] = imported;
+            } else if (conflictResolution === 'keepBoth') {
+                merged.push({ ...imported, id: this.generateEntryId(takenIds) });
+            }
+        });
+
+        return merged.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    async performImport(importedData, options = { mode: 'replace' }, analysis = null) {
+        try {
+            const before = this.captureUndoState();
+
+            // Backup current data before import
+            await this.createBackup(options.backupReason || 'import');
+
+            // Import the new data
+            let message;
+            if (options.mode === 'merge') {
+                const mergeAnalysis = analysis || this.analyzeImportedEntries(importedData.entries);
+                const entryCountBefore = this.entries.length;
+
+                this.entries = this.mergeImportedEntries(mergeAnalysis, options.conflictResolution);
+                if (options.goalsSource === 'imported') {
+                    this.goals = { ...importedData.goals };
+                }
+                if (options.settingsSource === 'imported') {
+                    this.settings = { ...importedData.settings };
+                }
+                if (Array.isArray(importedData.cravings)) {
+                    const cravingIds = new Set(this.cravings.map(craving => craving.id));
+                    this.cravings = [...this.cravings, ...importedData.cravings.filter(craving => !cravingIds.has(craving.id))];
+                }
+                if (Array.isArray(importedData.products)) {
+                    const productIds = new Set(this.products.map(product => product.id));
+                    this.products = [...this.products, ...importedData.products.filter(product => !productIds.has(product.id))];
+                }
+                if (Array.isArray(importedData.purchases)) {
+                    const purchaseIds = new Set(this.purchases.map(purchase => purchase.id));
+                    this.purchases = [...this.purchases, ...importedData.purchases.filter(purchase => !purchaseIds.has(purchase.id))];
+                }
+                if (Array.isArray(importedData.stashes)) {
+                    const stashIds = new Set(this.stashes.map(stash => stash.id));
+                    this.stashes = [...this.stashes, ...importedData.stashes.filter(stash => !stashIds.has(stash.id))];
+                }
+                if (Array.isArray(importedData.breaks)) {
+                    const breakIds = new Set(this.breaks.map(tBreak => tBreak.id));
+                    this.breaks = [...this.breaks, ...importedData.breaks.filter(tBreak => !breakIds.has(tBreak.id))];
+                }
+
+                message = `Merged ${this.entries.length - entryCountBefore} new entries (${mergeAnalysis.duplicates.length} duplicates skipped)`;
+            } else {
+                this.entries = [...importedData.entries];
+                this.goals = { ...importedData.goals };
+                this.settings = { ...importedData.settings };
+                if (Array.isArray(importedData.cravings)) {
+                    this.cravings = [...importedData.cravings];
+                }
+                if (Array.isArray(importedData.products)) {
+                    this.products = [...importedData.products];
+                }
+                if (Array.isArray(importedData.purchases)) {
+                    this.purchases = [...importedData.purchases];
+                }
+                if (Array.isArray(importedData.stashes)) {
+                    this.stashes = [...importedData.stashes];
+                }
+                if (Array.isArray(importedData.breaks)) {
+                    this.breaks = [...importedData.breaks];
+                }
+                message = options.backupReason === 'restore'
+                    ? 'Backup restored successfully!'
+                    : `Successfully imported ${importedData.entries.length} entries!`;
+            }
+
+            this.convertLegacyStash();
+
+            // Save imported data
+            await this.saveEntries();
+            await this.saveGoals();
+            await this.saveSettings();
+            await this.saveCravings();
+            await this.saveProducts();
+            await this.savePurchases();
+            await this.saveStashes();
+            await this.saveBreaks();
+            await this.saveSchemaVersion();
+            this.recordUndo(options.backupReason === 'restore' ? 'Restore backup' : 'Import data', before);
+
+            // Update UI
+            this.updateDashboard();
+            this.renderEntries();
+            this.renderCravings();
+            this.renderProductOptions();
+            this.renderPurchases();
+            this.renderStashOptions();
+            this.renderStashes();
+            this.renderBreaks();
+            this.initializeCharts(); // Reinitialize charts with new data
+
+            this.showMessage(message, 'success', this.getUndoToastAction());
+        } catch (error) {
+            console.error('Error performing import:', error);
+            this.showMessage('Failed to import data. Please try again.', 'error');
+        }
+    }
+
+    async cleanupOldBackups() {
+        try {
+            // Backups come back newest first. Snapshots taken before deleting an entry are frequent,
+            // so they are kept apart and only the latest two survive; the rest share the configured number.
+            const backups = await this.readBackups();
+            backups.forEach(backup => this.takenBackupKeys.add(backup.key));
+            const isDeleteBackup = backup => backup.data && backup.data.reason === 'delete';
+            const expired = [
+                ...backups.filter(isDeleteBackup).slice(2),
+                ...backups.filter(backup => !isDeleteBackup(backup)).slice(this.settings.backupRetention || 5)
+            ];
+            for (const backup of expired) {
+                await this.deleteBackup(backup.key);
+                this.takenBackupKeys.delete(backup.key);
+            }
+        } catch (error) {
+            console.error('Error cleaning up backups:', error);
+        }
+    }
+
+    // Backup Management
+    // Snapshot the current data. Everything is copied before the first await, so callers can
+    // modify their data right after calling this without waiting for the write to finish.
+    async createBackup(reason) {
+        const backupData = {
+            schemaVersion: this.getCurrentSchemaVersion(),
+            entries: [...this.entries],
+            goals: { ...this.goals },
+            settings: { ...this.settings },
+            cravings: [...this.cravings],
+            products: [...this.products],
+            purchases: [...this.purchases],
+            stashes: [...this.stashes],
+            breaks: [...this.breaks],
+            backupDate: new Date().toISOString(),
+            reason: reason
+        };
+
+        // Store backup with timestamp
+        const backupKey = this.generateBackupKey();
+
+        try {
+            await this.writeBackup(backupKey, backupData);
+            await this.cleanupOldBackups();
+        } catch (error) {
+            console.error('Error creating backup:', error);
+            this.showMessage('Failed to save a backup. Please check your browser storage.', 'error');
+        }
+    }
+
+    // Bumps past keys already taken, so snapshots taken in the same millisecond don't overwrite each other
+    generateBackupKey() {
+        let stamp = Date.now();
+        while (this.takenBackupKeys.has(`weedTrackerBackup_${stamp}`)) {
+            stamp++;
+        }
+        const key = `weedTrackerBackup_${stamp}`;
+        this.takenBackupKeys.add(key);
+        return key;
+    }
+
+    async checkScheduledBackup() {
+        const intervals = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+        const interval = intervals[this.settings.backupSchedule];
+        if (!interval || this.entries.length === 0) {
+            return;
+        }
+
+        try {
+            const backups = await this.readBackups();
+            const lastScheduled = backups.find(backup => backup.data && backup.data.reason === 'scheduled');
+            const lastDate = lastScheduled ? new Date(lastScheduled.data.backupDate) : null;
+
+            if (!lastDate || Date.now() - lastDate.getTime() >= interval) {
+                await this.createBackup('scheduled');
+                this.renderBackups();
+            }
+        } catch (error) {
+            console.error('Error checking scheduled backup:', error);
+        }
+    }
+
+    getBackupReasonLabel(reason) {
+        const reasonMap = {
+            'import': 'Before import',
+            'restore': 'Before restore',
+            'clear': 'Before clear',
+            'delete': 'Before delete',
+            'scheduled': 'Scheduled',
+            'manual': 'Manual'
+        };
+        // Backups from before reasons were recorded were all taken before an import
+        return reasonMap[reason] || reasonMap.import;
+    }
+
+    async openBackupModal() {
+        document.getElementById('backupSchedule').value = this.settings.backupSchedule || 'weekly';
+        document.getElementById('backupRetention').value = this.settings.backupRetention || 5;
+        document.getElementById('backupModal').style.display = 'block';
+        await this.renderBackups();
+    }
+
+    closeBackupModal() {
+        document.getElementById('backupModal').style.display = 'none';
+    }
+
+    async renderBackups() {
+        try {
+            const container = document.getElementById('backupList');
+            if (!container) {
+                console.error('Backup list container not found');
+                return;
+            }
+
+            const backups = await this.readBackups();
+            if (backups.length === 0) {
+                container.innerHTML = `
+                    <div class="empty-state">
+                        <i class="fas fa-box-archive"></i>
+                        <h3>No backups yet</h3>
+                        <p>Backups are saved automatically before imports, deletes and clears</p>
+                    </div>
+                `;
+                return;
+            }
+
+            container.innerHTML = backups.map(backup => this.createBackupHTML(backup)).join('');
+        } catch (error) {
+            console.error('Error rendering backups:', error);
+            this.showMessage('Failed to load backups. Please try again.', 'error');
+        }
+    }
+
+    createBackupHTML(backup) {
+        const data = backup.data || {};
+        const date = new Date(data.backupDate || Number(backup.key.replace('weedTrackerBackup_', '')));
+        const formattedDate = date.toLocaleDateString();
+        const formattedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const entryCount = Array.isArray(data.entries) ? data.entries.length : 0;
+
+        return `
+            <div class="entry-item">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${entryCount} entries</span>
+                        <span class="entry-method">${this.getBackupReasonLabel(data.reason)}</span>
+                    </div>
+                    <span class="entry-time">${formattedDate} at ${formattedTime}</span>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn-icon" onclick="tracker.restoreBackup('${backup.key}')" title="Restore backup">
+                        <i class="fas fa-clock-rotate-left"></i>
+                    </button>
+                    <button class="btn-icon" onclick="tracker.downloadBackup('${backup.key}')" title="Download backup">
+                        <i class="fas fa-download"></i>
+                    </button>
+                    <button class="btn-icon" onclick="tracker.removeBackup('${backup.key}')" title="Delete backup">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    async findBackup(key) {
+        const backups = await this.readBackups();
+        return backups.find(backup => backup.key === key) || null;
+    }
+
+    async restoreBackup(key) {
+        try {
+            const backup = await this.findBackup(key);
+            if (!backup) {
+                this.showMessage('Backup not found.', 'error');
+                return;
+            }
+
+            // Backups can be older than the current schema, same as imported files
+            const data = this.migrateImportData(backup.data);
+            if (data === null || !this.validateImportData(data)) {
+                this.showMessage('This backup cannot be restored because its data is invalid.', 'error');
+                return;
+            }
+
+            const date = new Date(backup.data.backupDate).toLocaleString();
+            this.showConfirmModal(
+                `Restore the backup from ${date} with ${data.entries.length} entries? Your current data is backed up first.`,
+                async () => {
+                    await this.performImport(data, { mode: 'replace', backupReason: 'restore' });
+                    this.renderBackups();
+                }
+            );
+        } catch (error) {
+            console.error('Error restoring backup:', error);
+            this.showMessage('Failed to restore backup. Please try again.', 'error');
+        }
+    }
+
+    async downloadBackup(key) {
+        try {
+            const backup = await this.findBackup(key);
+            if (!backup) {
+                this.showMessage('Backup not found.', 'error');
+                return;
+            }
+
+            // Same shape as exportData so the file can be imported again, with every collection the backup holds
+            const { backupDate, reason, ...contents } = backup.data;
+            const data = {
+                ...contents,
+                schemaVersion: contents.schemaVersion || 0,
+                exportDate: backupDate
+            };
+
+            this.downloadFile(
+                JSON.stringify(data, null, 2),
+                `weed-tracker-backup-${new Date(backup.data.backupDate).toISOString().split('T')[0]}.json`,
+                'application/json'
+            );
+            this.showMessage('Backup downloaded successfully!', 'success');
+        } catch (error) {
+            console.error('Error downloading backup:', error);
+            this.showMessage('Failed to download backup. Please try again.', 'error');
+        }
+    }
+
+    removeBackup(key) {
+        this.showConfirmModal('Are you sure you want to delete this backup?', async () => {
+            try {
+                await this.deleteBackup(key);
+                await this.renderBackups();
+                this.showMessage('Backup deleted successfully!', 'success');
+            } catch (error) {
+                console.error('Error deleting backup:', error);
+                this.showMessage('Failed to delete backup. Please try again.', 'error');
+            }
+        });
+    }
+
+    async createManualBackup() {
+        await this.createBackup('manual');
+        await this.renderBackups();
+        this.showMessage('Backup created successfully!', 'success');
+    }
+
+    async saveBackupSettings() {
+        const backupSchedule = document.getElementById('backupSchedule').value;
+        const backupRetention = parseInt(document.getElementById('backupRetention').value, 10);
+
+        if (!['off', 'daily', 'weekly'].includes(backupSchedule)) {
+            this.showMessage('Please select a valid backup schedule.', 'error');
+            return;
+        }
+
+        if (!Number.isInteger(backupRetention) || backupRetention < 1 || backupRetention > 50) {
+            this.showMessage('Please keep between 1 and 50 backups.', 'error');
+            return;
+        }
+
+        this.settings = { ...this.settings, backupSchedule: backupSchedule, backupRetention: backupRetention };
+        await this.saveSettings();
+        await this.cleanupOldBackups();
+        await this.checkScheduledBackup();
+        await this.renderBackups();
+        this.showMessage('Backup settings saved!', 'success');
+    }
+
+    validateExportData(data) {
+        try {
+            if (!data || typeof data !== 'object') {
+                return false;
+            }
+
+            if (!Array.isArray(data.entries)) {
+                return false;
+            }
+
+            if (!this.validateGoals(data.goals)) {
+                return false;
+            }
+
+            if (!this.validateSettings(data.settings)) {
+                return false;
+            }
+
+            if (typeof data.schemaVersion !== 'number') {
+                return false;
+            }
+
+            if (data.cravings !== undefined && !this.validateCravings(data.cravings)) {
+                return false;
+            }
+
+            if (data.products !== undefined && !this.validateProducts(data.products)) {
+                return false;
+            }
+
+            if (data.purchases !== undefined && !this.validatePurchases(data.purchases)) {
+                return false;
+            }
+
+            if (data.stashes !== undefined && !this.validateStashes(data.stashes)) {
+                return false;
+            }
+
+            if (data.breaks !== undefined && !this.validateBreaks(data.breaks)) {
+                return false;
+            }
+
+            if (!data.exportDate || !this.isValidDate(data.exportDate)) {
+                return false;
+            }
+
+            return true;
+        } catch (error) {
+            console.error('Export data validation error:', error);
+            return false;
+        }
+    }
+
+    clearData() {
+        try {
+            this.showConfirmModal(
+                'Are you sure you want to clear all data? A backup is saved first and can be restored from Backups.',
+                async () => {
+                    const before = this.captureUndoState();
+                    await this.createBackup('clear');
+
+                    this.entries = [];
+                    this.goals = this.getDefaultGoals();
+                    this.alternatives = this.getDefaultAlternatives();
+                    this.cravings = [];
+                    this.products = [];
+                    this.purchases = [];
+                    this.stashes = [];
+                    this.breaks = [];
+                    
+                    // Clear stored data
+                    try {
+                        await this.clearStoredData();
+                    } catch (error) {
+                        console.error('Error clearing stored data:', error);
+                    }
+                    
+                    await this.saveEntries();
+                    await this.saveGoals();
+                    await this.saveAlternatives();
+                    await this.saveCravings();
+                    await this.saveProducts();
+                    await this.savePurchases();
+                    await this.saveStashes();
+                    await this.saveBreaks();
+                    this.recordUndo('Clear all data', before);
+
+                    if (this.editingEntryId !== null) {
+                        this.cancelEditEntry();
+                    }
+
+                    this.updateDashboard();
+                    this.renderEntries();
+                    this.renderAlternatives();
+                    this.renderCravings();
+                    this.renderProductOptions();
+                    this.renderProducts();
+                    this.renderPurchases();
+                    this.renderStashOptions();
+                    this.renderStashes();
+                    this.renderBreaks();
+                    this.rebuildCharts();
+                    this.showMessage('All data cleared successfully!', 'success', this.getUndoToastAction());
+                }
+            );
+        } catch (error) {
+            console.error('Error clearing data:', error);
+            this.showMessage('Failed to clear data. Please try again.', 'error');
+        }
+    }
+
+    // Undo/Redo
+    getUndoLimit() {
+        return 20;
+    }
+
+    // How long the undo history survives a reload
+    getUndoWindowMs() {
+        return 15 * 60 * 1000;
+    }
+
+    captureUndoState() {
+        return JSON.parse(JSON.stringify({
+            entries: this.entries,
+            goals: this.goals,
+            settings: this.settings,
+            alternatives: this.alternatives,
+            cravings: this.cravings,
+            products: this.products,
+            purchases: this.purchases,
+            stashes: this.stashes,
+            breaks: this.breaks
+        }));
+    }
+
+    // Store only what changed, so undoing one action leaves later unrelated changes alone
+    recordUndo(label, before) {
+        const after = this.captureUndoState();
+        const beforeById = new Map(before.entries.map(entry => [entry.id, JSON.stringify(entry)]));
+        const afterById = new Map(after.entries.map(entry => [entry.id, JSON.stringify(entry)]));
+
+        const action = {
+            label: label,
+            timestamp: Date.now(),
+            removed: before.entries.filter(entry => afterById.get(entry.id) !== JSON.stringify(entry)),
+            added: after.entries.filter(entry => beforeById.get(entry.id) !== JSON.stringify(entry)),
+            records: {}
+        };
+
+        ['goals', 'settings', 'alternatives', 'cravings', 'products', 'purchases', 'stashes', 'breaks'].forEach(name => {
+            if (JSON.stringify(before[name]) !== JSON.stringify(after[name])) {
+                action.records[name] = { before: before[name], after: after[name] };
+            }
+        });
+
+        this.undoStack = [...this.undoStack, action].slice(-this.getUndoLimit());
+        this.redoStack = [];
+        this.saveUndoHistory();
+    }
+
+    getUndoToastAction() {
+        return { label: 'Undo', onClick: () => this.undo() };
+    }
+
+    async undo() {
+        const action = this.undoStack.pop();
+        if (!action) {
+            this.showMessage('Nothing to undo.', 'info');
+            return;
+        }
+
+        try {
+            await this.applyUndoAction(action, true);
+            this.redoStack.push(action);
+            await this.saveUndoHistory();
+            this.showMessage(`Undone: ${action.label}`, 'success', { label: 'Redo', onClick: () => this.redo() });
+        } catch (error) {
+            console.error('Error undoing action:', error);
+            this.undoStack.push(action);
+            this.showMessage('Failed to undo. Please try again.', 'error');
+        }
+    }
+
+    async redo() {
+        const action = this.redoStack.pop();
+        if (!action) {
+            this.showMessage('Nothing to redo.', 'info');
+            return;
+        }
+
+        try {
+            await this.applyUndoAction(action, false);
+            this.undoStack.push(action);
+            await this.saveUndoHistory();
+            this.showMessage(`Redone: ${action.label}`, 'success', this.getUndoToastAction());
+        } catch (error) {
+            console.error('Error redoing action:', error);
+            this.redoStack.push(action);
+            this.showMessage('Failed to redo. Please try again.', 'error');
+        }
+    }
+
+    async applyUndoAction(action, undoing) {
+        const dropIds = new Set((undoing ? action.added : action.removed).map(entry => entry.id));
+        const restored = (undoing ? action.removed : action.added).map(entry => ({ ...entry }));
+
+        this.entries = [...this.entries.filter(entry => !dropIds.has(entry.id)), ...restored]
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+        Object.entries(action.records).forEach(([name, values]) => {
+            this[name] = JSON.parse(JSON.stringify(undoing ? values.before : values.after));
+        });
+
+        await this.saveEntries();
+        if (action.records.goals) await this.saveGoals();
+        if (action.records.settings) await this.saveSettings();
+        if (action.records.alternatives) await this.saveAlternatives();
+        if (action.records.cravings) await this.saveCravings();
+        if (action.records.products) await this.saveProducts();
+        if (action.records.purchases) await this.savePurchases();
+        if (action.records.stashes) await this.saveStashes();
+        if (action.records.breaks) await this.saveBreaks();
+
+        if (this.editingEntryId !== null && !this.entries.some(entry => entry.id === this.editingEntryId)) {
+            this.cancelEditEntry();
+        }
+
+        this.updateDashboard();
+        this.renderEntries();
+        this.renderAlternatives();
+        this.renderCravings();
+        this.renderProductOptions();
+        this.renderProducts();
+        this.renderPurchases();
+        this.renderStashOptions();
+        this.renderStashes();
+        this.renderBreaks();
+        this.rebuildCharts();
+    }
+
+    getUndoHistoryRecord() {
+        return { savedAt: Date.now(), undo: this.undoStack, redo: this.redoStack };
+    }
+
+    async loadUndoHistory() {
+        try {
+            const saved = await this.readStoredRecord('undoHistory');
+            if (!saved || !Array.isArray(saved.undo) || !Array.isArray(saved.redo)) {
+                return;
+            }
+
+            const cutoff = Date.now() - this.getUndoWindowMs();
+            const isRecent = action => action && action.timestamp >= cutoff &&
+                Array.isArray(action.removed) && Array.isArray(action.added) &&
+                [...action.removed, ...action.added].every(entry => this.validateEntry(entry));
+
+            this.undoStack = saved.undo.filter(isRecent);
+            this.redoStack = saved.redo.filter(isRecent);
+        } catch (error) {
+            console.error('Failed to load undo history:', error);
+        }
+    }
+
+    async saveUndoHistory() {
+        try {
+            await this.writeStoredRecord('undoHistory', this.getUndoHistoryRecord());
+        } catch (error) {
+            console.error('Failed to save undo history:', error);
+        }
+    }
+
+    // Modal Management
+    openGoalModal() {
+        const modal = document.getElementById('goalModal');
+        const weeklyGoalInput = document.getElementById('weeklyGoal');
+        const goalTypeSelect = document.getElementById('goalType');
+
+        // Pre-fill with current values
+        weeklyGoalInput.value = this.goals.weeklyAmount || '';
+        goalTypeSelect.value = this.goals.goalType || 'reduce';
+        document.getElementById('weeklyGoalUnit').value = this.goals.weeklyUnit || 'grams';
+        document.getElementById('budgetAmount').value = this.goals.budgetAmount || '';
+        document.getElementById('budgetAmountLabel').textContent = `Budget (${this.settings.currency})`;
+        document.getElementById('budgetPeriod').value = this.goals.budgetPeriod || 'month';
+        document.getElementById('budgetSource').value = this.goals.budgetSource || 'estimated';
+        document.getElementById('quitDate').value = this.toLocalDateTimeString(this.getQuitDate() || new Date()).slice(0, 10);
+        this.toggleGoalFields();
+
+        modal.style.display = 'block';
+    }
+
+    closeGoalModal() {
+        document.getElementById('goalModal').style.display = 'none';
+    }
+
+    // Quit mode has a quit date instead of a weekly amount
+    toggleGoalFields() {
+        const quit = document.getElementById('goalType').value === 'quit';
+        document.getElementById('weeklyGoalGroup').style.display = quit ? 'none' : 'grid';
+        document.getElementById('quitDateGroup').style.display = quit ? 'block' : 'none';
+    }
+
+    showConfirmModal(message, onConfirm) {
+        const modal = document.getElementById('confirmModal');
+        const messageEl = document.getElementById('confirmMessage');
+        const confirmBtn = document.getElementById('confirmButton');
+
+        messageEl.textContent = message;
+        modal.style.display = 'block';
+
+        // Remove existing listeners
+        const newConfirmBtn = confirmBtn.cloneNode(true);
+        confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+
+        // Add new listener
+        newConfirmBtn.addEventListener('click', () => {
+            onConfirm();
+            this.closeConfirmModal();
+        });
+    }
+
+    closeConfirmModal() {
+        document.getElementById('confirmModal').style.display = 'none';
+    }
+
+    // onSubmit receives the password and resolves to false to keep the modal open (e.g. wrong password)
+    showPasswordModal(options, onSubmit) {
+        document.getElementById('passwordModalTitle').textContent = options.title;
+        document.getElementById('passwordMessage').textContent = options.message;
+        document.getElementById('filePasswordConfirmGroup').style.display = options.requireConfirmation ? 'block' : 'none';
+        document.getElementById('passwordError').textContent = '';
+        document.getElementById('passwordForm').reset();
+
+        this.passwordModalOptions = options;
+        this.passwordModalAction = onSubmit;
+        document.getElementById('passwordModal').style.display = 'block';
+        document.getElementById('filePassword').focus();
+    }
+
+    async submitPasswordModal() {
+        const form = document.getElementById('passwordForm');
+        const errorText = document.getElementById('passwordError');
+        const password = document.getElementById('filePassword').value;
+        const confirmation = document.getElementById('filePasswordConfirm').value;
+
+        if (!this.passwordModalAction) {
+            return;
+        }
+
+        if (this.passwordModalOptions.requireConfirmation) {
+            if (password.length < 8) {
+                errorText.textContent = 'Please choose a password of at least 8 characters.';
+                return;
+            }
+
+            if (password !== confirmation) {
+                errorText.textContent = 'The passwords do not match.';
+                return;
+            }
+        } else if (!password) {
+            errorText.textContent = 'Please enter the password.';
+            return;
+        }
+
+        try {
+            errorText.textContent = '';
+            form.classList.add('loading');
+
+            const accepted = await this.passwordModalAction(password);
+            if (accepted === false) {
+                errorText.textContent = 'Incorrect password. Please try again.';
+                document.getElementById('filePassword').select();
+                return;
+            }
+
+            this.closePasswordModal();
+        } catch (error) {
+            console.error('Error handling password:', error);
+            this.closePasswordModal();
+            this.showMessage('Something went wrong. Please try again.', 'error');
+        } finally {
+            form.classList.remove('loading');
+        }
+    }
+
+    closePasswordModal() {
+        document.getElementById('passwordModal').style.display = 'none';
+        document.getElementById('passwordForm').reset();
+        this.passwordModalAction = null;
+    }
+
+    // Passphrase Encryption UI
+    // Shows the unlock screen and resolves with the key once the right passphrase is entered
+    requestUnlock(config) {
+        return new Promise((resolve) => {
+            const screen = document.getElementById('unlockScreen');
+            const form = document.getElementById('unlockForm');
+            const input = document.getElementById('unlockPassphrase');
+            const errorText = document.getElementById('unlockError');
+
+            this.applyDarkMode(this.darkMode);
+            document.body.classList.add('locked');
+            screen.style.display = 'flex';
+
+            if (!this.isCryptoAvailable()) {
+                errorText.textContent = 'Your data is encrypted, but this browser cannot decrypt it. Open the app over HTTPS or in a modern browser.';
+                form.querySelector('button[type="submit"]').disabled = true;
+                return;
+            }
+
+            input.focus();
+
+            const handleSubmit = async (e) => {
+                e.preventDefault();
+                errorText.textContent = '';
+                form.classList.add('loading');
+
+                const key = await this.unlockWithPassphrase(input.value, config);
+                form.classList.remove('loading');
+
+                if (!key) {
+                    errorText.textContent = 'Incorrect passphrase. Please try again.';
+                    input.select();
+                    return;
+                }
+
+                form.removeEventListener('submit', handleSubmit);
+                input.value = '';
+                screen.style.display = 'none';
+                document.body.classList.remove('locked');
+                resolve(key);
+            };
+
+            form.addEventListener('submit', handleSubmit);
+        });
+    }
+
+    openSecurityModal() {
+        const isEnabled = !!this.encryptionConfig;
+
+        document.getElementById('securityStatus').textContent = isEnabled
+            ? 'Encryption is on. Your entries, goals, settings and backups are encrypted with your passphrase.'
+            : 'Encryption is off. Your data is stored unencrypted in this browser.';
+        document.getElementById('currentPassphraseGroup').style.display = isEnabled ? 'block' : 'none';
+        document.getElementById('disableEncryptionButton').style.display = isEnabled ? 'inline-flex' : 'none';
+        document.getElementById('securitySubmitButton').textContent = isEnabled ? 'Change Passphrase' : 'Enable Encryption';
+
+        document.getElementById('securityForm').reset();
+        document.getElementById('securityModal').style.display = 'block';
+    }
+
+    closeSecurityModal() {
+        document.getElementById('securityModal').style.display = 'none';
+    }
+
+    // Enables encryption, or changes the passphrase when it is already on
+    async saveSecuritySettings() {
+        const form = document.getElementById('securityForm');
+
+        try {
+            if (!this.isCryptoAvailable()) {
+                this.showMessage('Encryption is not supported here. Open the app over HTTPS or in a modern browser.', 'error');
+                return;
+            }
+
+            const currentPassphrase = document.getElementById('currentPassphrase').value;
+            const newPassphrase = document.getElementById('newPassphrase').value;
+            const confirmPassphrase = document.getElementById('confirmPassphrase').value;
+
+            if (newPassphrase.length < 8) {
+                this.showMessage('Please choose a passphrase of at least 8 characters.', 'error');
+                return;
+            }
+
+            if (newPassphrase !== confirmPassphrase) {
+                this.showMessage('The new passphrases do not match.', 'error');
+                return;
+            }
+
+            const wasEnabled = !!this.encryptionConfig;
+            if (wasEnabled && !(await this.unlockWithPassphrase(currentPassphrase, this.encryptionConfig))) {
+                this.showMessage('Current passphrase is incorrect.', 'error');
+                return;
+            }
+
+            form.classList.add('loading');
+            const { key, config } = await this.createEncryptionConfig(newPassphrase);
+            await this.rewriteStoredData(key, config);
+            this.encryptionConfig = config;
+
+            this.closeSecurityModal();
+            this.showMessage(wasEnabled ? 'Passphrase changed successfully!' : 'Encryption enabled. You will need your passphrase to open the app.', 'success');
+        } catch (error) {
+            console.error('Error updating encryption:', error);
+            this.showMessage('Failed to update encryption. Please try again.', 'error');
+        } finally {
+            form.classList.remove('loading');
+        }
+    }
+
+    async disableEncryption() {
+        const form = document.getElementById('securityForm');
+
+        try {
+            if (!this.encryptionConfig) {
+                return;
+            }
+
+            const currentPassphrase = document.getElementById('currentPassphrase').value;
+            if (!(await this.unlockWithPassphrase(currentPassphrase, this.encryptionConfig))) {
+                this.showMessage('Enter your current passphrase to turn off encryption.', 'error');
+                return;
+            }
+
+            form.classList.add('loading');
+            await this.rewriteStoredData(null, null);
+            this.encryptionConfig = null;
+
+            this.closeSecurityModal();
+            this.showMessage('Encryption turned off. Your data is now stored unencrypted.', 'success');
+        } catch (error) {
+            console.error('Error disabling encryption:', error);
+            this.showMessage('Failed to turn off encryption. Please try again.', 'error');
+        } finally {
+            form.classList.remove('loading');
+        }
+    }
+
+    // Alternatives Management
+    getOralFixationAlternatives() {
+        return [
+            {
+                title: "Sugar-free gum",
+                description: "Chew sugar-free gum to satisfy oral fixation without calories",
+                icon: "fas fa-chewing-gum"
+            },
+            {
+                title: "Herbal tea",
+                description: "Sip on warm herbal tea with honey for a soothing experience",
+                icon: "fas fa-mug-hot"
+            },
+            {
+                title: "Crunchy vegetables",
+                description: "Snack on carrots, celery, or cucumber for satisfying crunch",
+                icon: "fas fa-carrot"
+            },
+            {
+                title: "Ice cubes",
+                description: "Suck on ice cubes or flavored ice for oral stimulation",
+                icon: "fas fa-snowflake"
+            },
+            {
+                title: "Hard candies",
+                description: "Sugar-free hard candies that last longer",
+                icon: "fas fa-candy-cane"
+            },
+            {
+                title: "Sunflower seeds",
+                description: "Shell and eat sunflower seeds for manual and oral activity",
+                icon: "fas fa-seedling"
+            },
+            {
+                title: "Fizzy water",
+                description: "Sparkling water with lemon or lime for bubbly sensation",
+                icon: "fas fa-glass-water"
+            },
+            {
+                title: "Frozen grapes",
+                description: "Freeze grapes for a cold, sweet treat that takes time to eat",
+                icon: "fas fa-grapes"
+            }
+        ];
+    }
+
+    getGeneralAlternatives() {
+        return [
+            {
+                title: "Take a walk",
+                description: "Go for a 10-15 minute walk to clear your mind and get fresh air",
+                icon: "fas fa-walking"
+            },
+            {
+                title: "Deep breathing",
+                description: "Practice 4-7-8 breathing: inhale 4, hold 7, exhale 8",
+                icon: "fas fa-lungs"
+            },
+            {
+                title: "Call a friend",
+                description: "Reach out to someone you trust for support and distraction",
+                icon: "fas fa-phone"
+            },
+            {
+                title: "Read a book",
+                description: "Immerse yourself in a good book to escape and relax",
+                icon: "fas fa-book"
+            },
+            {
+                title: "Listen to music",
+                description: "Put on your favorite playlist and let the music carry you",
+                icon: "fas fa-music"
+            },
+            {
+                title: "Do a puzzle",
+                description: "Crossword, Sudoku, or jigsaw puzzle to engage your mind",
+                icon: "fas fa-puzzle-piece"
+            },
+            {
+                title: "Take a shower",
+                description: "A warm shower can help relax and reset your mood",
+                icon: "fas fa-shower"
+            },
+            {
+                title: "Write in a journal",
+                description: "Express your thoughts and feelings on paper",
+                icon: "fas fa-pen"
+            },
+            {
+                title: "Stretch or yoga",
+                description: "Gentle stretching or yoga poses to release tension",
+                icon: "fas fa-yoga"
+            },
+            {
+                title: "Clean something",
+                description: "Organize a drawer or clean a small area to feel productive",
+                icon: "fas fa-broom"
+            },
+            {
+                title: "Draw or color",
+                description: "Creative activities can be very therapeutic and distracting",
+                icon: "fas fa-palette"
+            },
+            {
+                title: "Meditation",
+                description: "5-10 minutes of mindfulness meditation to center yourself",
+                icon: "fas fa-om"
+            }
+        ];
+    }
+
+    renderAlternatives() {
+        try {
+            const oralContainer = document.getElementById('oralAlternatives');
+            const generalContainer = document.getElementById('generalAlternatives');
+
+            if (!oralContainer || !generalContainer) {
+                console.error('Alternative containers not found');
+                return;
+            }
+
+            // Get random suggestions (3 from each category)
+            const oralSuggestions = this.getRandomSuggestions(this.getOralFixationAlternatives(), 3);
+            const generalSuggestions = this.getRandomSuggestions(this.getGeneralAlternatives(), 3);
+
+            // Render oral fixation alternatives
+            oralContainer.innerHTML = oralSuggestions.map(suggestion => 
+                this.createSuggestionHTML(suggestion, 'oral')
+            ).join('');
+
+            // Render general alternatives
+            generalContainer.innerHTML = generalSuggestions.map(suggestion => 
+                this.createSuggestionHTML(suggestion, 'general')
+            ).join('');
+        } catch (error) {
+            console.error('Error rendering alternatives:', error);
+            // Don't show error message for alternatives as it's not critical
+        }
+    }
+
+    getRandomSuggestions(suggestions, count) {
+        const shuffled = [...suggestions].sort(() => 0.5 - Math.random());
+        return shuffled.slice(0, count);
+    }
+
+    createSuggestionHTML(suggestion, category) {
+        const isTried = this.alternatives.triedItems.includes(`${category}-${suggestion.title}`);
+        const triedClass = isTried ? ' tried' : '';
+        
+        return `
+            <div class="suggestion-item${triedClass}" 
+                 onclick="tracker.markSuggestionAsTried('${category}-${suggestion.title}')">
+                <i class="${suggestion.icon} suggestion-icon"></i>
+                <h4>${suggestion.title}</h4>
+                <p>${suggestion.description}</p>
+            </div>
+        `;
+    }
+
+    markSuggestionAsTried(suggestionId) {
+        if (!this.alternatives.triedItems.includes(suggestionId)) {
+            this.alternatives.triedItems.push(suggestionId);
+            this.saveAlternatives();
+            this.renderAlternatives();
+            this.showMessage('Great job trying an alternative!', 'success');
+        }
+    }
+
+    refreshAlternatives() {
+        this.alternatives.lastRefresh = new Date().toISOString();
+        this.saveAlternatives();
+        this.renderAlternatives();
+        this.showMessage('New suggestions loaded!', 'success');
+    }
+
+    markAsTried() {
+        this.showMessage('Select a specific suggestion to mark it as tried!', 'success');
+    }
+
+    // Craving Log
+    openCravingModal() {
+        const form = document.getElementById('cravingForm');
+        form.reset();
+        document.getElementById('cravingTime').value = this.toLocalDateTimeString(new Date());
+        document.getElementById('cravingIntensityValue').textContent = document.getElementById('cravingIntensity').value;
+
+        const options = (category, alternatives) => alternatives
+            .map(alternative => `<option value="${category}-${alternative.title}">${alternative.title}</option>`)
+            .join('');
+        document.getElementById('cravingAlternative').innerHTML = `
+            <option value="">Nothing in particular</option>
+            <optgroup label="Oral Fixation Alternatives">${options('oral', this.getOralFixationAlternatives())}</optgroup>
+            <optgroup label="General Alternatives">${options('general', this.getGeneralAlternatives())}</optgroup>
+        `;
+
+        this.renderCravings();
+        document.getElementById('cravingModal').style.display = 'block';
+    }
+
+    closeCravingModal() {
+        document.getElementById('cravingModal').style.display = 'none';
+    }
+
+    addCraving() {
+        try {
+            const timestamp = document.getElementById('cravingTime').value;
+            const intensity = parseInt(document.getElementById('cravingIntensity').value, 10);
+            const trigger = document.getElementById('cravingTrigger').value;
+            const alternative = document.getElementById('cravingAlternative').value;
+            const gaveIn = document.getElementById('cravingGaveIn').checked;
+            const notes = this.sanitizeInput(document.getElementById('cravingNotes').value.trim());
+
+            if (!timestamp || !this.isValidDate(timestamp)) {
+                this.showMessage('Please enter a valid date and time.', 'error');
+                return;
+            }
+
+            if (!Number.isInteger(intensity) || intensity < 1 || intensity > 10) {
+                this.showMessage('Please choose an intensity between 1 and 10.', 'error');
+                return;
+            }
+
+            if (trigger && !Object.keys(this.getTriggerLabels()).includes(trigger)) {
+                this.showMessage('Please select a valid trigger.', 'error');
+                return;
+            }
+
+            const alternativeIds = [
+                ...this.getOralFixationAlternatives().map(item => `oral-${item.title}`),
+                ...this.getGeneralAlternatives().map(item => `general-${item.title}`)
+            ];
+            if (alternative && !alternativeIds.includes(alternative)) {
+                this.showMessage('Please select a valid alternative.', 'error');
+                return;
+            }
+
+            const craving = {
+                id: Date.now(),
+                timestamp: timestamp,
+                intensity: intensity,
+                trigger: trigger,
+                alternative: alternative,
+                gaveIn: gaveIn,
+                notes: notes,
+                createdAt: new Date().toISOString()
+            };
+
+            if (!this.validateCraving(craving)) {
+                this.showMessage('Invalid craving data. Please check your input.', 'error');
+                return;
+            }
+
+            this.cravings.push(craving);
+            this.cravings.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.saveCravings();
+
+            // What helped counts as a tried alternative
+            if (alternative && !this.alternatives.triedItems.includes(alternative)) {
+                this.alternatives.triedItems.push(alternative);
+                this.saveAlternatives();
+                this.renderAlternatives();
+            }
+
+            this.closeCravingModal();
+            this.updateCravingStats();
+            this.updateCravingCharts();
+            this.showMessage(
+                gaveIn ? 'Craving logged. Remember to add the session too.' : 'Craving resisted - well done!',
+                'success'
+            );
+        } catch (error) {
+            console.error('Error adding craving:', error);
+            this.showMessage('Failed to log craving. Please try again.', 'error');
+        }
+    }
+
+    deleteCraving(id) {
+        if (!this.cravings.some(craving => craving.id === id)) {
+            this.showMessage('Craving not found.', 'error');
+            return;
+        }
+
+        const before = this.captureUndoState();
+        this.cravings = this.cravings.filter(craving => craving.id !== id);
+        this.recordUndo('Delete craving', before);
+        this.saveCravings();
+        this.renderCravings();
+        this.showMessage('Craving deleted.', 'success', this.getUndoToastAction());
+    }
+
+    renderCravings() {
+        const list = document.getElementById('cravingList');
+        if (list) {
+            const recent = [...this.cravings]
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, 10);
+
+            list.innerHTML = recent.length === 0 ? `
+                <div class="empty-state">
+                    <i class="fas fa-hand-paper"></i>
+                    <h3>No cravings logged</h3>
+                    <p>Log urges as they happen, even the ones you resist</p>
+                </div>
+            ` : recent.map(craving => this.createCravingHTML(craving)).join('');
+        }
+
+        this.updateCravingStats();
+        this.updateCravingCharts();
+    }
+
+    createCravingHTML(craving) {
+        const date = new Date(craving.timestamp);
+        const alternative = craving.alternative ? craving.alternative.replace(/^(oral|general)-/, '') : '';
+        const details = [
+            craving.trigger ? `Trigger: ${this.getTriggerLabel(craving.trigger)}` : '',
+            alternative ? `Tried: ${alternative}` : ''
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <div class="entry-item">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${craving.intensity}/10</span>
+                        <span class="entry-method">${craving.gaveIn ? 'Gave in' : 'Resisted'}</span>
+                        <span class="entry-time">${date.toLocaleDateString()} at ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+                    </div>
+                    ${details ? `<div class="entry-context"><span>${details}</span></div>` : ''}
+                    ${craving.notes ? `<div class="entry-notes">"${craving.notes}"</div>` : ''}
+                </div>
+                <div class="entry-actions">
+                    <button class="btn-icon" onclick="tracker.deleteCraving(${craving.id})" title="Delete craving">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    updateCravingStats() {
+        const now = new Date();
+        const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+        const fourteenDaysAgo = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000);
+
+        const inRange = (craving, from, to) => {
+            const time = new Date(craving.timestamp);
+            return time >= from && time <= to;
+        };
+        const weekCravings = this.cravings.filter(craving => inRange(craving, sevenDaysAgo, now));
+        const lastWeekResisted = this.cravings.filter(craving => !craving.gaveIn && inRange(craving, fourteenDaysAgo, sevenDaysAgo)).length;
+
+        const resisted = weekCravings.filter(craving => !craving.gaveIn).length;
+        const gaveIn = weekCravings.length - resisted;
+        const avgIntensity = weekCravings.length > 0
+            ? weekCravings.reduce((sum, craving) => sum + craving.intensity, 0) / weekCravings.length
+            : 0;
+
+        document.getElementById('cravingsResisted').textContent = resisted;
+        document.getElementById('cravingsGaveIn').textContent = gaveIn;
+        document.getElementById('cravingsIntensity').textContent = weekCravings.length > 0 ? avgIntensity.toFixed(1) : '-';
+        document.getElementById('cravingText').textContent = weekCravings.length > 0
+            ? `Resisted ${Math.round((resisted / weekCravings.length) * 100)}% this week (${lastWeekResisted} resisted the week before)`
+            : 'No cravings logged in the last 7 days';
+    }
+
+    // Price & Currency Settings
+    getCurrencyOptions() {
+        return ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'JPY', 'ZAR', 'MXN', 'BRL'];
+    }
+
+    isValidCurrency(currency) {
+        if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+            return false;
+        }
+
+        try {
+            new Intl.NumberFormat(undefined, { style: 'currency', currency: currency });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    formatCurrency(value) {
+        const currency = this.isValidCurrency(this.settings.currency) ? this.settings.currency : 'USD';
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: currency }).format(value);
+    }
+
+    // Price changes only apply from when they were made, so past costs stay as they were
+    getPricePerGramAt(timestamp) {
+        const time = new Date(timestamp);
+        let pricePerGram = this.settings.pricePerGram;
+
+        for (const record of this.settings.priceHistory || []) {
+            if (record.from === null || new Date(record.from) <= time) {
+                pricePerGram = record.pricePerGram;
+            }
+        }
+        return pricePerGram;
+    }
+
+    openSettingsModal() {
+        const currencySelect = document.getElementById('settingsCurrency');
+        const currencies = this.getCurrencyOptions();
+        if (!currencies.includes(this.settings.currency)) {
+            currencies.unshift(this.settings.currency);
+        }
+        currencySelect.innerHTML = currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('');
+
+        currencySelect.value = this.settings.currency;
+        document.getElementById('settingsPricePerGram').value = this.settings.pricePerGram;
+        document.getElementById('settingsRepriceHistory').checked = false;
+        this.renderPriceHistory();
+        document.getElementById('settingsModal').style.display = 'block';
+    }
+
+    closeSettingsModal() {
+        document.getElementById('settingsModal').style.display = 'none';
+    }
+
+    renderPriceHistory() {
+        const list = document.getElementById('priceHistoryList');
+        const history = this.settings.priceHistory || [];
+
+        if (history.length === 0) {
+            list.innerHTML = `<p class="section-description">${this.formatCurrency(this.settings.pricePerGram)}/g for all entries so far.</p>`;
+            return;
+        }
+
+        list.innerHTML = [...history].reverse().map(record => `
+            <div class="price-history-item">
+                <span>${record.from === null ? 'Before' : `Since ${new Date(record.from).toLocaleDateString()}`}</span>
+                <span>${this.formatCurrency(record.pricePerGram)}/g</span>
+            </div>
+        `).join('');
+    }
+
+    async saveSettingsForm() {
+        const pricePerGram = parseFloat(document.getElementById('settingsPricePerGram').value);
+        const currency = document.getElementById('settingsCurrency').value;
+        const repriceHistory = document.getElementById('settingsRepriceHistory').checked;
+
+        if (isNaN(pricePerGram) || pricePerGram < 0) {
+            this.showMessage('Please enter a valid price per gram.', 'error');
+            return;
+        }
+
+        if (!this.isValidCurrency(currency)) {
+            this.showMessage('Please select a valid currency.', 'error');
+            return;
+        }
+
+        let priceHistory = this.settings.priceHistory || [];
+        if (repriceHistory) {
+            priceHistory = [];
+        } else if (pricePerGram !== this.settings.pricePerGram) {
+            // The first change records the price that applied until now
+            priceHistory = [
+                ...(priceHistory.length === 0 ? [{ from: null, pricePerGram: this.settings.pricePerGram }] : priceHistory),
+                { from: this.toLocalDateTimeString(new Date()), pricePerGram: pricePerGram }
+            ];
+        }
+
+        this.settings = { ...this.settings, pricePerGram, currency, priceHistory };
+        await this.saveSettings();
+
+        this.closeSettingsModal();
+        this.updateDashboard();
+        this.renderProducts();
+        this.showMessage('Settings saved.', 'success');
+    }
+
+    // Amount Units
+    getAmountUnits() {
+        return {
+            g: { label: 'grams', step: 0.1, max: 1000 },
+            mg: { label: 'mg THC', step: 1, max: 10000 },
+            puffs: { label: 'puffs', step: 1, max: 1000 },
+            ml: { label: 'ml', step: 0.05, max: 100 },
+            count: { label: 'pre-rolls', step: 1, max: 100 }
+        };
+    }
+
+    getMethodDefaultUnit(method) {
+        const defaults = {
+            vape: 'puffs',
+            edible: 'mg'
+        };
+        return defaults[method] || 'g';
+    }
+
+    // Converts an entry's amount to grams of product, whatever unit it was logged in
+    getEntryGrams(entry) {
+        const conversions = { ...this.getDefaultUnitConversions(), ...this.settings.unitConversions };
+
+        switch (entry.unit) {
+            case 'mg': {
+                const thcPercent = this.getEntryThcPercent(entry);
+                return thcPercent > 0 ? entry.amount / (thcPercent * 10) : 0;
+            }
+            case 'puffs':
+                return entry.amount * conversions.gramsPerPuff;
+            case 'ml':
+                return entry.amount * conversions.gramsPerMl;
+            case 'count':
+                return entry.amount * conversions.gramsPerPreroll;
+            default:
+                return entry.amount;
+        }
+    }
+
+    formatEntryAmount(entry) {
+        const unit = entry.unit || 'g';
+        return unit === 'g' ? `${entry.amount}g` : `${entry.amount} ${this.getAmountUnits()[unit].label}`;
+    }
+
+    // Switch the quick add amount to the unit the chosen method is usually measured in
+    applyMethodUnit() {
+        const method = document.getElementById('method').value;
+        if (!method) return;
+
+        document.getElementById('amountUnit').value = this.getMethodDefaultUnit(method);
+        this.updateAmountInput();
+    }
+
+    updateAmountInput() {
+        const unit = this.getAmountUnits()[document.getElementById('amountUnit').value] || this.getAmountUnits().g;
+        const amountInput = document.getElementById('amount');
+        amountInput.step = unit.step;
+        amountInput.max = unit.max;
+        document.getElementById('amountUnitLabel').textContent = unit.label;
+    }
+
+    // THC Dose Estimates
+    getDoseUnit() {
+        return this.settings.doseUnit === 'thc' ? 'thc' : 'grams';
+    }
+
+    // Estimated mg of THC absorbed: grams x potency x method bioavailability
+    getEntryThcMg(entry) {
+        const bioavailability = { ...this.getDefaultBioavailability(), ...this.settings.bioavailability };
+        const factor = bioavailability[entry.method] !== undefined ? bioavailability[entry.method] : bioavailability.other;
+        // Edibles logged in mg already state their THC content
+        const thcContent = entry.unit === 'mg'
+            ? entry.amount
+            : this.getEntryGrams(entry) * 1000 * (this.getEntryThcPercent(entry) / 100);
+        return thcContent * (factor / 100);
+    }
+
+    getEntryThcPercent(entry) {
+        const product = entry.productId ? this.getProduct(entry.productId) : null;
+        return product && product.thc !== null ? product.thc : this.settings.defaultThcPercent;
+    }
+
+    getEntryDose(entry, unit = this.getDoseUnit()) {
+        return unit === 'thc' ? this.getEntryThcMg(entry) : this.getEntryGrams(entry);
+    }
+
+    sumDoses(entries, unit = this.getDoseUnit()) {
+        return entries.reduce((sum, entry) => sum + this.getEntryDose(entry, unit), 0);
+    }
+
+    roundDose(value, unit = this.getDoseUnit()) {
+        return unit === 'thc' ? Math.round(value) : Math.round(value * 10) / 10;
+    }
+
+    formatDose(value, unit = this.getDoseUnit()) {
+        return unit === 'thc' ? `${Math.round(value)}mg` : `${value.toFixed(1)}g`;
+    }
+
+    getDoseAxisLabel() {
+        return this.getDoseUnit() === 'thc' ? 'THC (mg)' : 'Amount (g)';
+    }
+
+    openDoseModal() {
+        const bioavailability = { ...this.getDefaultBioavailability(), ...this.settings.bioavailability };
+        document.getElementById('doseUnit').value = this.getDoseUnit();
+        document.getElementById('defaultThcPercent').value = this.settings.defaultThcPercent;
+        Object.keys(this.getDefaultBioavailability()).forEach(method => {
+            document.getElementById(`bioavailability_${method}`).value = bioavailability[method];
+        });
+        const conversions = { ...this.getDefaultUnitConversions(), ...this.settings.unitConversions };
+        Object.keys(conversions).forEach(name => {
+            document.getElementById(name).value = conversions[name];
+        });
+        document.getElementById('doseModal').style.display = 'block';
+    }
+
+    closeDoseModal() {
+        document.getElementById('doseModal').style.display = 'none';
+    }
+
+    async saveDoseSettings() {
+        const doseUnit = document.getElementById('doseUnit').value;
+        const defaultThcPercent = parseFloat(document.getElementById('defaultThcPercent').value);
+        const isPercent = value => !isNaN(value) && value >= 0 && value <= 100;
+
+        if (!['grams', 'thc'].includes(doseUnit)) {
+            this.showMessage('Please select a valid unit.', 'error');
+            return;
+        }
+
+        if (!isPercent(defaultThcPercent)) {
+            this.showMessage('Default THC must be a percentage between 0 and 100.', 'error');
+            return;
         }
+
+        const bioavailability = {};
+        for (const method of Object.keys(this.getDefaultBioavailability())) {
+            const value = parseFloat(document.getElementById(`bioavailability_${method}`).value);
+            if (!isPercent(value)) {
+                this.showMessage(`Bioavailability for ${this.getMethodLabel(method)} must be between 0 and 100%.`, 'error');
+                return;
+            }
+            bioavailability[method] = value;
+        }
+
+        const unitConversions = {};
+        for (const name of Object.keys(this.getDefaultUnitConversions())) {
+            const value = parseFloat(document.getElementById(name).value);
+            if (isNaN(value) || value <= 0) {
+                this.showMessage('Unit conversions must be greater than 0.', 'error');
+                return;
+            }
+            unitConversions[name] = value;
+        }
+
+        this.settings = { ...this.settings, doseUnit, defaultThcPercent, bioavailability, unitConversions };
+        await this.saveSettings();
+
+        this.closeDoseModal();
+        this.updateDashboard();
+        this.renderEntries();
+        this.rebuildCharts();
+        this.showMessage('Dose settings saved.', 'success');
     }
 
-    updateStreak() {
-        const streak = this.calculateStreak();
-        document.getElementById('currentStreak').textContent = streak.count;
-        document.getElementById('streakType').textContent = streak.type;
+    // Product Catalog
+    getProductTypeLabels() {
+        return {
+            'flower': 'Flower',
+            'preroll': 'Pre-roll',
+            'cartridge': 'Vape cartridge',
+            'concentrate': 'Concentrate',
+            'edible': 'Edible',
+            'other': 'Other'
+        };
     }
 
-    updateTimeSinceLastJoint() {
-        const timeSince = this.calculateTimeSinceLastJoint();
-        document.getElementById('timeSinceNumber').textContent = timeSince.value;
-        document.getElementById('timeSinceLabel').textContent = timeSince.unit;
-        document.getElementById('timeSinceText').textContent = timeSince.text;
+    getProduct(id) {
+        return this.products.find(product => product.id === id) || null;
     }
 
-    calculateStreak() {
-        if (this.entries.length === 0) {
-            return { count: 0, type: 'No streak yet' };
+    // A linked product's price wins over the price per gram at the time of the entry
+    getEntryCost(entry) {
+        const product = entry.productId ? this.getProduct(entry.productId) : null;
+        const pricePerGram = product && product.price !== null ? product.price : this.getPricePerGramAt(entry.timestamp);
+        return this.getEntryGrams(entry) * pricePerGram;
+    }
+
+    openProductModal() {
+        this.resetProductForm();
+        this.renderProducts();
+        document.getElementById('productModal').style.display = 'block';
+    }
+
+    closeProductModal() {
+        document.getElementById('productModal').style.display = 'none';
+        this.resetProductForm();
+    }
+
+    resetProductForm() {
+        this.editingProductId = null;
+        document.getElementById('productForm').reset();
+        document.getElementById('productFormSubmit').textContent = 'Add Product';
+    }
+
+    editProduct(id) {
+        const product = this.getProduct(id);
+        if (!product) {
+            this.showMessage('Product not found.', 'error');
+            return;
         }
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        
-        let currentDate = new Date(today);
-        let streakCount = 0;
-        let hasEntryToday = false;
+        this.editingProductId = id;
+        document.getElementById('productName').value = product.name;
+        document.getElementById('productType').value = product.type;
+        document.getElementById('productThc').value = product.thc !== null ? product.thc : '';
+        document.getElementById('productCbd').value = product.cbd !== null ? product.cbd : '';
+        document.getElementById('productPrice').value = product.price !== null ? product.price : '';
+        document.getElementById('productPurchaseDate').value = product.purchaseDate || '';
+        document.getElementById('productFormSubmit').textContent = 'Save Product';
+    }
 
-        // Check if there's an entry today
-        const todayEntries = this.entries.filter(entry => {
-            const entryDate = new Date(entry.timestamp);
-            entryDate.setHours(0, 0, 0, 0);
-            return entryDate.getTime() === today.getTime();
+    saveProductForm() {
+        try {
+            const name = this.sanitizeInput(document.getElementById('productName').value, 60);
+            const type = document.getElementById('productType').value;
+            const readNumber = (id) => {
+                const value = document.getElementById(id).value;
+                return value === '' ? null : parseFloat(value);
+            };
+            const thc = readNumber('productThc');
+            const cbd = readNumber('productCbd');
+            const price = readNumber('productPrice');
+            const purchaseDate = document.getElementById('productPurchaseDate').value;
+
+            if (!name) {
+                this.showMessage('Please enter a product name.', 'error');
+                return;
+            }
+
+            if (!Object.keys(this.getProductTypeLabels()).includes(type)) {
+                this.showMessage('Please select a valid product type.', 'error');
+                return;
+            }
+
+            if ([thc, cbd].some(value => value !== null && (isNaN(value) || value < 0 || value > 100))) {
+                this.showMessage('THC and CBD must be percentages between 0 and 100.', 'error');
+                return;
+            }
+
+            if (price !== null && (isNaN(price) || price < 0)) {
+                this.showMessage('Please enter a valid price.', 'error');
+                return;
+            }
+
+            const existing = this.editingProductId ? this.getProduct(this.editingProductId) : null;
+            const product = {
+                id: existing ? existing.id : Date.now(),
+                name: name,
+                type: type,
+                thc: thc,
+                cbd: cbd,
+                price: price,
+                purchaseDate: purchaseDate,
+                createdAt: existing ? existing.createdAt : new Date().toISOString()
+            };
+
+            if (!this.validateProduct(product)) {
+                this.showMessage('Invalid product data. Please check your input.', 'error');
+                return;
+            }
+
+            this.products = existing
+                ? this.products.map(item => item.id === product.id ? product : item)
+                : [...this.products, product];
+            this.saveProducts();
+
+            this.resetProductForm();
+            this.renderProducts();
+            this.renderProductOptions();
+            this.updateDashboard();
+            this.renderEntries();
+            this.showMessage(existing ? 'Product updated.' : 'Product added to your catalog.', 'success');
+        } catch (error) {
+            console.error('Error saving product:', error);
+            this.showMessage('Failed to save product. Please try again.', 'error');
+        }
+    }
+
+    deleteProduct(id) {
+        const product = this.getProduct(id);
+        if (!product) {
+            this.showMessage('Product not found.', 'error');
+            return;
+        }
+
+        const linkedCount = this.entries.filter(entry => entry.productId === id).length;
+        const message = linkedCount > 0
+            ? `Delete "${product.name}"? ${linkedCount} entries will be unlinked and costed at your default price per gram.`
+            : `Delete "${product.name}"?`;
+
+        this.showConfirmModal(message, async () => {
+            const before = this.captureUndoState();
+            this.products = this.products.filter(item => item.id !== id);
+            this.entries = this.entries.map(entry => entry.productId === id ? { ...entry, productId: null } : entry);
+            this.purchases = this.purchases.map(purchase => purchase.productId === id ? { ...purchase, productId: null } : purchase);
+            await this.saveProducts();
+            await this.saveEntries();
+            await this.savePurchases();
+            this.recordUndo('Delete product', before);
+
+            if (this.editingProductId === id) {
+                this.resetProductForm();
+            }
+            this.renderProducts();
+            this.renderProductOptions();
+            this.renderPurchases();
+            this.updateDashboard();
+            this.renderEntries();
+            this.showMessage('Product deleted.', 'success', this.getUndoToastAction());
         });
+    }
 
-        if (todayEntries.length > 0) {
-            hasEntryToday = true;
+    // Newest purchases first, so the product in use is near the top
+    getSortedProducts() {
+        return [...this.products].sort((a, b) =>
+            (b.purchaseDate || '').localeCompare(a.purchaseDate || '') || a.name.localeCompare(b.name));
+    }
+
+    renderProductOptions() {
+        const options = '<option value="">No product</option>' + this.getSortedProducts()
+            .map(product => `<option value="${product.id}">${product.name} (${this.getProductTypeLabels()[product.type]})</option>`)
+            .join('');
+
+        ['product', 'purchaseProduct', 'stashProduct'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = options;
+            select.value = this.getProduct(Number(selected)) ? selected : '';
+        });
+    }
+
+    getProductStats(productId) {
+        const entries = this.entries.filter(entry => entry.productId === productId);
+        const lastUsed = entries.reduce((latest, entry) => !latest || new Date(entry.timestamp) > new Date(latest) ? entry.timestamp : latest, null);
+
+        return {
+            count: entries.length,
+            amount: entries.reduce((sum, entry) => sum + this.getEntryGrams(entry), 0),
+            cost: entries.reduce((sum, entry) => sum + this.getEntryCost(entry), 0),
+            lastUsed: lastUsed
+        };
+    }
+
+    renderProducts() {
+        const list = document.getElementById('productList');
+        if (!list) return;
+
+        if (this.products.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-cannabis"></i>
+                    <h3>No products yet</h3>
+                    <p>Add the flower, carts and edibles you use to track them separately</p>
+                </div>
+            `;
+            return;
         }
 
-        // Calculate streak
-        while (true) {
-            const dateEntries = this.entries.filter(entry => {
-                const entryDate = new Date(entry.timestamp);
-                entryDate.setHours(0, 0, 0, 0);
-                return entryDate.getTime() === currentDate.getTime();
-            });
+        list.innerHTML = this.getSortedProducts().map(product => this.createProductHTML(product)).join('');
+    }
 
-            if (dateEntries.length > 0) {
-                streakCount++;
-                currentDate.setDate(currentDate.getDate() - 1);
-            } else {
-                break;
+    createProductHTML(product) {
+        const stats = this.getProductStats(product.id);
+        const details = [
+            this.getProductTypeLabels()[product.type],
+            product.thc !== null ? `THC ${product.thc}%` : '',
+            product.cbd !== null ? `CBD ${product.cbd}%` : '',
+            product.price !== null ? `${this.formatCurrency(product.price)}/g` : '',
+            product.purchaseDate ? `Bought ${new Date(`${product.purchaseDate}T00:00`).toLocaleDateString()}` : ''
+        ].filter(Boolean).join(' · ');
+        const usage = stats.count > 0
+            ? `${stats.count} entries · ${stats.amount.toFixed(1)}g · ${this.formatCurrency(stats.cost)} · last used ${new Date(stats.lastUsed).toLocaleDateString()}`
+            : 'Not used yet';
+
+        return `
+            <div class="entry-item${product.id === this.editingProductId ? ' editing' : ''}">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${product.name}</span>
+                    </div>
+                    <div class="entry-context"><span>${details}</span></div>
+                    <div class="entry-notes">${usage}</div>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn-icon" onclick="tracker.editProduct(${product.id})" title="Edit product">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn-icon" onclick="tracker.deleteProduct(${product.id})" title="Delete product">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    // Stash Inventory
+    getStash(id) {
+        return this.stashes.find(stash => stash.id === id) || null;
+    }
+
+    // A stash holds its counted amount plus purchases put into it, minus the entries drawn from it since the last recount
+    getStashLevel(stash) {
+        const counted = item => item.stashId === stash.id &&
+            (!stash.countedAt || new Date(item.timestamp) >= new Date(stash.countedAt));
+        const purchased = this.purchases
+            .filter(counted)
+            .reduce((sum, purchase) => sum + purchase.grams, 0);
+        const used = this.entries
+            .filter(counted)
+            .reduce((sum, entry) => sum + this.getEntryGrams(entry), 0);
+        const stocked = stash.amount + purchased;
+
+        return { stocked, used, remaining: stocked - used };
+    }
+
+    // Stash goals from before the stash inventory become a stash holding what was left
+    convertLegacyStash() {
+        const { stashAmount, stashStartDate, ...goals } = this.goals;
+        if (stashAmount === undefined && stashStartDate === undefined) {
+            return false;
+        }
+
+        const start = new Date(stashStartDate);
+        if (stashStartDate && !isNaN(start.getTime())) {
+            start.setSeconds(0, 0);
+            const since = item => new Date(item.timestamp) >= start;
+            const purchased = this.purchases.filter(since).reduce((sum, purchase) => sum + purchase.grams, 0);
+            const used = this.entries.filter(since).reduce((sum, entry) => sum + this.getEntryGrams(entry), 0);
+            // A stash started at 0g may have been filled by purchases since
+            const level = Math.round(((Number(stashAmount) || 0) + purchased - used) * 10) / 10;
+
+            if (level > 0) {
+                this.stashes.push({
+                    id: this.generateEntryId(new Set(this.stashes.map(stash => stash.id))),
+                    name: 'Stash',
+                    amount: level,
+                    productId: null,
+                    countedAt: null,
+                    createdAt: new Date().toISOString()
+                });
+            }
+        }
+
+        this.goals = goals;
+        return true;
+    }
+
+    openStashModal() {
+        this.resetStashForm();
+        this.renderStashes();
+        document.getElementById('stashModal').style.display = 'block';
+    }
+
+    closeStashModal() {
+        document.getElementById('stashModal').style.display = 'none';
+        this.resetStashForm();
+    }
+
+    resetStashForm() {
+        this.editingStashId = null;
+        document.getElementById('stashForm').reset();
+        document.getElementById('stashAmountLabel').textContent = 'Amount (grams)';
+        document.getElementById('stashFormSubmit').textContent = 'Add Stash';
+    }
+
+    editStash(id) {
+        const stash = this.getStash(id);
+        if (!stash) {
+            this.showMessage('Stash not found.', 'error');
+            return;
+        }
+
+        // The amount field edits what is left; changing it recounts the stash from now on
+        this.editingStashId = id;
+        document.getElementById('stashName').value = stash.name;
+        document.getElementById('stashAmountInput').value = Math.round(this.getStashLevel(stash).remaining * 10) / 10;
+        document.getElementById('stashProduct').value = stash.productId && this.getProduct(stash.productId) ? stash.productId : '';
+        document.getElementById('stashAmountLabel').textContent = 'Amount left (grams)';
+        document.getElementById('stashFormSubmit').textContent = 'Save Stash';
+    }
+
+    saveStashForm() {
+        try {
+            const name = this.sanitizeInput(document.getElementById('stashName').value, 40);
+            const amount = parseFloat(document.getElementById('stashAmountInput').value);
+            const productValue = document.getElementById('stashProduct').value;
+            const productId = productValue ? Number(productValue) : null;
+
+            if (!name) {
+                this.showMessage('Please enter a stash name.', 'error');
+                return;
+            }
+
+            if (isNaN(amount) || amount < 0 || amount > 10000) {
+                this.showMessage('Please enter a valid amount in grams.', 'error');
+                return;
+            }
+
+            if (productId !== null && !this.getProduct(productId)) {
+                this.showMessage('Please select a valid product.', 'error');
+                return;
+            }
+
+            const existing = this.editingStashId ? this.getStash(this.editingStashId) : null;
+            const recount = existing && Math.abs(amount - this.getStashLevel(existing).remaining) >= 0.05;
+            // Entry times are only precise to the minute
+            const countedAt = new Date();
+            countedAt.setSeconds(0, 0);
+
+            const stash = {
+                id: existing ? existing.id : Date.now(),
+                name: name,
+                amount: existing && !recount ? existing.amount : amount,
+                productId: productId,
+                countedAt: recount ? countedAt.toISOString() : (existing ? existing.countedAt : null),
+                createdAt: existing ? existing.createdAt : new Date().toISOString()
+            };
+
+            if (!this.validateStash(stash)) {
+                this.showMessage('Invalid stash data. Please check your input.', 'error');
+                return;
+            }
+
+            this.stashes = existing
+                ? this.stashes.map(item => item.id === stash.id ? stash : item)
+                : [...this.stashes, stash];
+            this.saveStashes();
+
+            this.resetStashForm();
+            this.renderStashes();
+            this.renderStashOptions();
+            this.updateStashLevels();
+            this.renderEntries();
+            this.showMessage(existing ? 'Stash updated.' : 'Stash added.', 'success');
+        } catch (error) {
+            console.error('Error saving stash:', error);
+            this.showMessage('Failed to save stash. Please try again.', 'error');
+        }
+    }
+
+    deleteStash(id) {
+        const stash = this.getStash(id);
+        if (!stash) {
+            this.showMessage('Stash not found.', 'error');
+            return;
+        }
+
+        this.showConfirmModal(`Delete the "${stash.name}" stash? Entries and purchases stay, but are no longer linked to it.`, async () => {
+            const before = this.captureUndoState();
+            this.stashes = this.stashes.filter(item => item.id !== id);
+            this.entries = this.entries.map(entry => entry.stashId === id ? { ...entry, stashId: null } : entry);
+            this.purchases = this.purchases.map(purchase => purchase.stashId === id ? { ...purchase, stashId: null } : purchase);
+            await this.saveStashes();
+            await this.saveEntries();
+            await this.savePurchases();
+            this.recordUndo('Delete stash', before);
+
+            if (this.editingStashId === id) {
+                this.resetStashForm();
             }
+            this.renderStashes();
+            this.renderStashOptions();
+            this.updateStashLevels();
+            this.renderEntries();
+            this.showMessage('Stash deleted.', 'success', this.getUndoToastAction());
+        });
+    }
+
+    renderStashOptions() {
+        const options = '<option value="">No stash</option>' + this.stashes
+            .map(stash => `<option value="${stash.id}">${stash.name} (${Math.max(this.getStashLevel(stash).remaining, 0).toFixed(1)}g left)</option>`)
+            .join('');
+
+        ['stash', 'purchaseStash'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+
+            const selected = select.value;
+            select.innerHTML = options;
+            select.value = this.getStash(Number(selected)) ? selected : '';
+        });
+    }
+
+    renderStashes() {
+        const list = document.getElementById('stashList');
+        if (!list) return;
+
+        if (this.stashes.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-box-open"></i>
+                    <h3>No stashes yet</h3>
+                    <p>Add what you have on hand, like flower at home or a cart</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = this.stashes.map(stash => {
+            const level = this.getStashLevel(stash);
+            const product = stash.productId ? this.getProduct(stash.productId) : null;
+            return `
+                <div class="entry-item${stash.id === this.editingStashId ? ' editing' : ''}">
+                    <div class="entry-info">
+                        <div class="entry-header">
+                            <span class="entry-amount">${stash.name}</span>
+                            <span class="entry-method">${level.remaining.toFixed(1)}g left</span>
+                        </div>
+                        <div class="entry-context"><span>${[product ? product.name : '', `${level.stocked.toFixed(1)}g in, ${level.used.toFixed(1)}g used`].filter(Boolean).join(' · ')}</span></div>
+                    </div>
+                    <div class="entry-actions">
+                        <button class="btn-icon" onclick="tracker.editStash(${stash.id})" title="Edit stash">
+                            <i class="fas fa-edit"></i>
+                        </button>
+                        <button class="btn-icon" onclick="tracker.deleteStash(${stash.id})" title="Delete stash">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateStashLevels() {
+        this.renderStashOptions();
+
+        const container = document.getElementById('stashLevels');
+        if (!container) return;
+
+        if (this.stashes.length === 0) {
+            container.innerHTML = '<p>Add a stash to see how much you have left</p>';
+            return;
+        }
+
+        container.innerHTML = this.stashes.map(stash => {
+            const level = this.getStashLevel(stash);
+            const percentLeft = level.stocked > 0 ? Math.max(Math.min((level.remaining / level.stocked) * 100, 100), 0) : 0;
+            const text = level.remaining > 0
+                ? `${level.remaining.toFixed(1)}g of ${level.stocked.toFixed(1)}g left`
+                : `Empty${level.remaining < 0 ? `, over by ${Math.abs(level.remaining).toFixed(1)}g` : ''}`;
+            return `
+                <div class="stash-level">
+                    <div class="stash-level-header">
+                        <span>${stash.name}</span>
+                        <span>${text}</span>
+                    </div>
+                    <div class="progress-bar">
+                        <div class="progress-fill" style="width: ${percentLeft}%"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Tolerance Breaks
+    // Breaks run from the start of their first day to the end of their last, or until ended early
+    getBreakStart(tBreak) {
+        return new Date(tBreak.startDate);
+    }
+
+    getBreakEnd(tBreak) {
+        const last = new Date(tBreak.endDate);
+        const end = new Date(last.getFullYear(), last.getMonth(), last.getDate() + 1);
+        return tBreak.endedAt && new Date(tBreak.endedAt) < end ? new Date(tBreak.endedAt) : end;
+    }
+
+    getBreakLength(tBreak) {
+        const start = this.getBreakStart(tBreak);
+        const last = new Date(tBreak.endDate);
+        return Math.round((new Date(last.getFullYear(), last.getMonth(), last.getDate()) - new Date(start.getFullYear(), start.getMonth(), start.getDate())) / (24 * 60 * 60 * 1000)) + 1;
+    }
+
+    getBreakDayNumber(tBreak, date = new Date()) {
+        const start = this.getBreakStart(tBreak);
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        return Math.round((day - new Date(start.getFullYear(), start.getMonth(), start.getDate())) / (24 * 60 * 60 * 1000)) + 1;
+    }
+
+    getBreakAt(date) {
+        return this.breaks.find(tBreak => date >= this.getBreakStart(tBreak) && date < this.getBreakEnd(tBreak)) || null;
+    }
+
+    getCurrentBreak() {
+        const now = new Date();
+        return this.breaks.find(tBreak => this.getBreakEnd(tBreak) > now) || null;
+    }
+
+    getPastBreaks() {
+        const now = new Date();
+        return this.breaks
+            .filter(tBreak => this.getBreakEnd(tBreak) <= now)
+            .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+    }
+
+    // Day by day: clean, used, today or still to come; plus the cravings and moods logged during the break
+    getBreakSummary(tBreak) {
+        const start = this.getBreakStart(tBreak);
+        const end = this.getBreakEnd(tBreak);
+        const now = new Date();
+        const during = item => {
+            const time = new Date(item.timestamp);
+            return time >= start && time < end;
+        };
+        const entries = this.entries.filter(during);
+        const cravings = this.cravings.filter(during);
+        const usedDays = new Set(entries.map(entry => new Date(entry.timestamp).toDateString()));
+        const lastDay = tBreak.endedAt ? Math.min(this.getBreakDayNumber(tBreak, new Date(end.getTime() - 1)), this.getBreakLength(tBreak)) : this.getBreakLength(tBreak);
+
+        const days = [];
+        for (let day = 1; day <= lastDay; day++) {
+            const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + day - 1);
+            const isToday = date.toDateString() === now.toDateString();
+            const status = date > now ? 'upcoming'
+                : usedDays.has(date.toDateString()) ? 'used'
+                : isToday ? 'today' : 'clean';
+            days.push({ day, date, status });
+        }
+
+        const moodScores = { terrible: 1, bad: 2, neutral: 3, good: 4, great: 5 };
+        const moods = [
+            ...(tBreak.checkIns || []).map(checkIn => checkIn.mood),
+            ...entries.filter(entry => entry.mood).map(entry => entry.mood)
+        ];
+        const averageMood = moods.length > 0
+            ? moods.reduce((sum, mood) => sum + moodScores[mood], 0) / moods.length
+            : null;
+
+        return {
+            days,
+            completedDays: days.filter(day => day.status === 'clean').length,
+            usedDays: days.filter(day => day.status === 'used').length,
+            entries: entries.length,
+            cravings: cravings.length,
+            resisted: cravings.filter(craving => !craving.gaveIn).length,
+            averageMood: averageMood,
+            mood: averageMood === null ? null : Object.keys(moodScores).find(mood => moodScores[mood] === Math.round(averageMood))
+        };
+    }
+
+    formatBreakSummary(tBreak, summary) {
+        return [
+            `${summary.completedDays} of ${summary.days.length} days clean`,
+            `${summary.cravings} craving${summary.cravings === 1 ? '' : 's'}${summary.cravings > 0 ? ` (${summary.resisted} resisted)` : ''}`,
+            summary.mood ? `mood ${this.getMoodEmoji(summary.mood)} ${summary.mood}` : '',
+            tBreak.endedAt ? 'ended early' : ''
+        ].filter(Boolean).join(' · ');
+    }
+
+    updateBreakStatus() {
+        const container = document.getElementById('breakStatus');
+        if (!container) return;
+
+        const tBreak = this.getCurrentBreak();
+        const now = new Date();
+
+        if (tBreak && this.getBreakStart(tBreak) > now) {
+            const days = Math.ceil((this.getBreakStart(tBreak) - now) / (24 * 60 * 60 * 1000));
+            container.innerHTML = `
+                <div class="streak-info">
+                    <span class="streak-number">${days}</span>
+                    <span class="streak-label">day${days === 1 ? '' : 's'} to go</span>
+                </div>
+                <p>Your ${this.getBreakLength(tBreak)}-day break starts ${this.getBreakStart(tBreak).toLocaleDateString()}</p>
+            `;
+            return;
         }
 
-        if (streakCount === 0) {
-            return { count: 0, type: 'No streak yet' };
-        } else if (hasEntryToday) {
-            return { count: streakCount, type: 'day streak (including today)' };
-        } else {
-            return { count: streakCount, type: 'day streak (last entry yesterday)' };
+        if (tBreak) {
+            const summary = this.getBreakSummary(tBreak);
+            const day = this.getBreakDayNumber(tBreak);
+            const daysLeft = Math.ceil((this.getBreakEnd(tBreak) - now) / (24 * 60 * 60 * 1000));
+            const checkIn = (tBreak.checkIns || []).find(item => item.date === now.toDateString());
+            container.innerHTML = `
+                <div class="streak-info">
+                    <span class="streak-number">${daysLeft}</span>
+                    <span class="streak-label">day${daysLeft === 1 ? '' : 's'} left</span>
+                </div>
+                <div class="break-days">
+                    ${summary.days.map(item => `<span class="break-day ${item.status}" title="Day ${item.day}: ${item.date.toLocaleDateString()}"></span>`).join('')}
+                </div>
+                <p>Day ${day} of ${this.getBreakLength(tBreak)} · ${summary.completedDays} clean so far${summary.entries > 0 ? ` · ${summary.entries} entr${summary.entries === 1 ? 'y' : 'ies'} logged` : ''}</p>
+                <select class="break-mood" onchange="tracker.checkInBreakMood(this.value)" aria-label="How are you feeling today?">
+                    <option value="">How are you feeling today?</option>
+                    ${['great', 'good', 'neutral', 'bad', 'terrible'].map(mood => `<option value="${mood}"${checkIn && checkIn.mood === mood ? ' selected' : ''}>${this.getMoodEmoji(mood)} ${mood.charAt(0).toUpperCase() + mood.slice(1)}</option>`).join('')}
+                </select>
+            `;
+            return;
         }
+
+        const last = this.getPastBreaks()[0];
+        container.innerHTML = last
+            ? `<p>Last break: ${this.getBreakStart(last).toLocaleDateString()}</p><p>${this.formatBreakSummary(last, this.getBreakSummary(last))}</p>`
+            : '<p>Plan a tolerance break to see a countdown here</p>';
     }
 
-    calculateTimeSinceLastJoint() {
-        if (this.entries.length === 0) {
-            return {
-                value: 0,
-                unit: 'hours',
-                text: 'No usage yet'
-            };
-        }
+    checkInBreakMood(mood) {
+        const tBreak = this.getCurrentBreak();
+        if (!tBreak || !mood) return;
 
-        // Find the most recent usage by looking at all entries and finding the latest timestamp
-        let mostRecentEntry = this.entries[0];
-        let mostRecentTime = new Date(mostRecentEntry.timestamp);
-        
-        for (const entry of this.entries) {
-            const entryTime = new Date(entry.timestamp);
-            if (entryTime > mostRecentTime) {
-                mostRecentTime = entryTime;
-                mostRecentEntry = entry;
-            }
-        }
-        
-        const now = new Date();
-        const timeDiff = now.getTime() - mostRecentTime.getTime();
+        const today = new Date().toDateString();
+        const checkIns = (tBreak.checkIns || []).filter(checkIn => checkIn.date !== today);
+        this.breaks = this.breaks.map(item => item.id === tBreak.id ? { ...item, checkIns: [...checkIns, { date: today, mood: mood }] } : item);
+        this.saveBreaks();
+        this.showMessage('Mood saved for today.', 'success');
+    }
 
-        // Convert to different time units
-        const minutes = Math.floor(timeDiff / (1000 * 60));
-        const hours = Math.floor(timeDiff / (1000 * 60 * 60));
-        const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-        const months = Math.floor(days / 30.44); // Average days per month
-        const years = Math.floor(days / 365.25); // Account for leap years
+    openBreakModal() {
+        const start = new Date();
+        const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 13);
+        document.getElementById('breakStart').value = this.toLocalDateTimeString(start).slice(0, 10);
+        document.getElementById('breakEnd').value = this.toLocalDateTimeString(end).slice(0, 10);
+        this.renderBreaks();
+        document.getElementById('breakModal').style.display = 'block';
+    }
 
-        // Determine the best unit to display with no more than 2 digits
-        const timeOfDay = mostRecentTime.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        
-        if (years > 0) {
-            return {
-                value: Math.min(years, 99), // Cap at 99 years
-                unit: 'years',
-                text: `Last usage: ${mostRecentEntry.amount}g ${this.getMethodLabel(mostRecentEntry.method)} at ${timeOfDay}`
-            };
-        } else if (months > 0) {
-            return {
-                value: Math.min(months, 99), // Cap at 99 months
-                unit: 'months',
-                text: `Last usage: ${mostRecentEntry.amount}g ${this.getMethodLabel(mostRecentEntry.method)} at ${timeOfDay}`
-            };
-        } else if (days > 0) {
-            return {
-                value: Math.min(days, 99), // Cap at 99 days
-                unit: 'days',
-                text: `Last usage: ${mostRecentEntry.amount}g ${this.getMethodLabel(mostRecentEntry.method)} at ${timeOfDay}`
-            };
-        } else if (hours > 0) {
-            return {
-                value: Math.min(hours, 99), // Cap at 99 hours
-                unit: 'hours',
-                text: `Last usage: ${mostRecentEntry.amount}g ${this.getMethodLabel(mostRecentEntry.method)} at ${timeOfDay}`
-            };
-        } else {
-            return {
-                value: Math.min(minutes, 99), // Cap at 99 minutes
-                unit: 'minutes',
-                text: `Last usage: ${mostRecentEntry.amount}g ${this.getMethodLabel(mostRecentEntry.method)} at ${timeOfDay}`
-            };
-        }
+    closeBreakModal() {
+        document.getElementById('breakModal').style.display = 'none';
     }
 
-    // Entry Rendering with Error Handling
-    renderEntries() {
+    planBreak() {
         try {
-            const container = document.getElementById('entriesContainer');
-            if (!container) {
-                console.error('Entries container not found');
+            const startValue = document.getElementById('breakStart').value;
+            const endValue = document.getElementById('breakEnd').value;
+            const start = new Date(`${startValue}T00:00`);
+            const end = new Date(`${endValue}T00:00`);
+            const today = new Date();
+            today.setHours(0, 0, 0, 0);
+
+            if (!startValue || !endValue || isNaN(start.getTime()) || isNaN(end.getTime())) {
+                this.showMessage('Please enter a start and end date.', 'error');
                 return;
             }
-            
-            if (this.entries.length === 0) {
-                container.innerHTML = `
-                    <div class="empty-state">
-                        <i class="fas fa-leaf"></i>
-                        <h3>No entries yet</h3>
-                        <p>Add your first entry to start tracking your journey</p>
-                    </div>
-                `;
+
+            if (start < today) {
+                this.showMessage('A break can\'t start in the past.', 'error');
                 return;
             }
 
-            // Filter out invalid entries, sort by consumption timestamp, and create HTML
-            const validEntries = this.entries
-                .filter(entry => this.validateEntry(entry))
-                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-                .slice(0, 20);
-            container.innerHTML = validEntries.map(entry => this.createEntryHTML(entry)).join('');
+            if (end < start || (end - start) / (24 * 60 * 60 * 1000) > 365) {
+                this.showMessage('The end date must be on or after the start date, and within a year.', 'error');
+                return;
+            }
+
+            if (this.getCurrentBreak()) {
+                this.showMessage('You already have a break planned. End or cancel it first.', 'error');
+                return;
+            }
+
+            const tBreak = {
+                id: Date.now(),
+                startDate: start.toISOString(),
+                endDate: end.toISOString(),
+                endedAt: null,
+                checkIns: [],
+                createdAt: new Date().toISOString()
+            };
+
+            if (!this.validateBreak(tBreak)) {
+                this.showMessage('Invalid break dates. Please check your input.', 'error');
+                return;
+            }
+
+            this.breaks = [...this.breaks, tBreak];
+            this.saveBreaks();
+            this.renderBreaks();
+            this.updateBreakStatus();
+            this.renderEntries();
+            this.showMessage(`${this.getBreakLength(tBreak)}-day break planned. Good luck!`, 'success');
         } catch (error) {
-            console.error('Error rendering entries:', error);
-            this.showMessage('Failed to display entries. Please refresh the page.', 'error');
+            console.error('Error planning break:', error);
+            this.showMessage('Failed to plan the break. Please try again.', 'error');
         }
     }
 
-    createEntryHTML(entry) {
-        const date = new Date(entry.timestamp);
-        const formattedDate = date.toLocaleDateString();
-        const formattedTime = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        
-        const moodEmoji = this.getMoodEmoji(entry.mood);
-        const methodLabel = this.getMethodLabel(entry.method);
+    // A break that hasn't started is removed; a running one ends now and goes into the history
+    endBreak() {
+        const tBreak = this.getCurrentBreak();
+        if (!tBreak) return;
+
+        const started = this.getBreakStart(tBreak) <= new Date();
+        this.showConfirmModal(started ? 'End your tolerance break now?' : 'Cancel your planned tolerance break?', async () => {
+            const before = this.captureUndoState();
+            this.breaks = started
+                ? this.breaks.map(item => item.id === tBreak.id ? { ...item, endedAt: new Date().toISOString() } : item)
+                : this.breaks.filter(item => item.id !== tBreak.id);
+            await this.saveBreaks();
+            this.recordUndo(started ? 'End break' : 'Cancel break', before);
+
+            this.renderBreaks();
+            this.updateBreakStatus();
+            this.renderEntries();
+            this.showMessage(started ? 'Break ended. See the summary under Past Breaks.' : 'Break cancelled.', 'success', this.getUndoToastAction());
+        });
+    }
 
-        return `
+    deleteBreak(id) {
+        this.showConfirmModal('Delete this break from your history?', async () => {
+            const before = this.captureUndoState();
+            this.breaks = this.breaks.filter(tBreak => tBreak.id !== id);
+            await this.saveBreaks();
+            this.recordUndo('Delete break', before);
+
+            this.renderBreaks();
+            this.updateBreakStatus();
+            this.renderEntries();
+            this.showMessage('Break deleted.', 'success', this.getUndoToastAction());
+        });
+    }
+
+    renderBreaks() {
+        const current = document.getElementById('currentBreak');
+        const list = document.getElementById('breakList');
+        if (!current || !list) return;
+
+        const tBreak = this.getCurrentBreak();
+        const started = tBreak && this.getBreakStart(tBreak) <= new Date();
+        document.getElementById('breakForm').style.display = tBreak ? 'none' : 'block';
+        current.innerHTML = tBreak ? `
             <div class="entry-item">
                 <div class="entry-info">
                     <div class="entry-header">
-                        <span class="entry-amount">${entry.amount}g</span>
-                        <span class="entry-method">${methodLabel}</span>
-                        <span class="entry-time">${formattedDate} at ${formattedTime}</span>
+                        <span class="entry-amount">${this.getBreakLength(tBreak)} days</span>
+                        <span class="entry-time">${this.getBreakStart(tBreak).toLocaleDateString()} – ${new Date(tBreak.endDate).toLocaleDateString()}</span>
                     </div>
-                    ${entry.notes ? `<div class="entry-notes">"${entry.notes}"</div>` : ''}
+                    <div class="entry-context"><span>${started ? `Day ${this.getBreakDayNumber(tBreak)} · ${this.formatBreakSummary(tBreak, this.getBreakSummary(tBreak))}` : 'Not started yet'}</span></div>
                 </div>
                 <div class="entry-actions">
-                    ${entry.mood ? `<span class="entry-mood">${moodEmoji}</span>` : ''}
-                    <button class="btn-icon" onclick="tracker.deleteEntry(${entry.id})" title="Delete entry">
+                    <button class="btn btn-danger btn-sm" onclick="tracker.endBreak()">${started ? 'End Now' : 'Cancel'}</button>
+                </div>
+            </div>
+        ` : '';
+
+        const past = this.getPastBreaks();
+        if (past.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-pause-circle"></i>
+                    <h3>No past breaks</h3>
+                    <p>Finished breaks and their summaries show up here</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = past.map(item => `
+            <div class="entry-item">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${this.getBreakLength(item)} days</span>
+                        <span class="entry-time">${this.getBreakStart(item).toLocaleDateString()} – ${new Date(item.endDate).toLocaleDateString()}</span>
+                    </div>
+                    <div class="entry-context"><span>${this.formatBreakSummary(item, this.getBreakSummary(item))}</span></div>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn-icon" onclick="tracker.deleteBreak(${item.id})" title="Delete break">
                         <i class="fas fa-trash"></i>
                     </button>
                 </div>
             </div>
-        `;
+        `).join('');
     }
 
-    getMoodEmoji(mood) {
-        const moodMap = {
-            'great': '😊',
-            'good': '🙂',
-            'neutral': '😐',
-            'bad': '😔',
-            'terrible': '😢'
-        };
-        return moodMap[mood] || '';
+    // Purchase Ledger
+    openPurchaseModal() {
+        document.getElementById('purchaseForm').reset();
+        document.getElementById('purchaseTime').value = this.toLocalDateTimeString(new Date());
+        document.getElementById('purchasePriceLabel').textContent = `Price paid (${this.settings.currency})`;
+        this.renderPurchases();
+        document.getElementById('purchaseModal').style.display = 'block';
     }
 
-    getMethodLabel(method) {
-        const methodMap = {
-            'joint': 'Joint',
-            'bong': 'Bong',
-            'pipe': 'Pipe',
-            'cigarette': 'Cigarette',
-            'vape': 'Vape',
-            'edible': 'Edible',
-            'other': 'Other'
-        };
-        return methodMap[method] || method;
+    closePurchaseModal() {
+        document.getElementById('purchaseModal').style.display = 'none';
     }
 
-    // Goal Management with Validation
-    saveGoal() {
+    addPurchase() {
         try {
-            const goalType = document.getElementById('goalType').value;
-            
-            // Validate goal type
-            if (!goalType || !['reduce', 'maintain', 'quit', 'stash'].includes(goalType)) {
-                this.showMessage('Please select a valid goal type.', 'error');
-                return;
-            }
-
-            let goalData = {
-                goalType: goalType,
-                startDate: new Date().toISOString()
-            };
-
-            if (goalType === 'stash') {
-                const stashAmount = parseFloat(document.getElementById('stashAmount').value);
-                
-                // Validate stash amount
-                if (!stashAmount || stashAmount <= 0) {
-                    this.showMessage('Please enter a valid stash amount greater than 0.', 'error');
-                    return;
-                }
+            const timestamp = document.getElementById('purchaseTime').value;
+            const grams = parseFloat(document.getElementById('purchaseGrams').value);
+            const price = parseFloat(document.getElementById('purchasePrice').value);
+            const productValue = document.getElementById('purchaseProduct').value;
+            const productId = productValue ? Number(productValue) : null;
+            const stashValue = document.getElementById('purchaseStash').value;
+            const stashId = stashValue ? Number(stashValue) : null;
+            const notes = this.sanitizeInput(document.getElementById('purchaseNotes').value.trim(), 200);
 
-                goalData = {
-                    ...goalData,
-                    stashAmount: stashAmount,
-                    stashStartDate: new Date().toISOString(),
-                    weeklyAmount: 0 // Reset weekly amount for stash goals
-                };
-            } else {
-                const weeklyGoal = parseFloat(document.getElementById('weeklyGoal').value);
-                
-                // Validate weekly goal
-                if (!weeklyGoal || weeklyGoal < 0) {
-                    this.showMessage('Please enter a valid weekly goal amount (0 or greater).', 'error');
-                    return;
-                }
-
-                goalData = {
-                    ...goalData,
-                    weeklyAmount: weeklyGoal,
-                    stashAmount: 0 // Reset stash amount for weekly goals
-                };
+            if (!timestamp || !this.isValidDate(timestamp)) {
+                this.showMessage('Please enter a valid date and time.', 'error');
+                return;
             }
 
-            // Validate the complete goal data
-            if (!this.validateGoals(goalData)) {
-                this.showMessage('Invalid goal data. Please check your input.', 'error');
+            if (isNaN(grams) || grams <= 0 || grams > 10000) {
+                this.showMessage('Please enter a valid amount in grams.', 'error');
                 return;
             }
 
-            this.goals = goalData;
-            this.saveGoals();
-            this.updateGoalProgress();
-            this.closeGoalModal();
-            this.showMessage('Goal saved successfully!', 'success');
-        } catch (error) {
-            console.error('Error saving goal:', error);
-            this.showMessage('Failed to save goal. Please try again.', 'error');
-        }
-    }
-
-    resetGoal() {
-        this.showConfirmModal(
-            'Are you sure you want to reset your current goal? This will clear your goal settings.',
-            () => {
-                this.goals = {
-                    weeklyAmount: 0,
-                    goalType: 'reduce',
-                    startDate: null,
-                    stashAmount: 0,
-                    stashStartDate: null
-                };
-                this.saveGoals();
-                this.updateGoalProgress();
-                this.showMessage('Goal reset successfully!', 'success');
+            if (isNaN(price) || price < 0) {
+                this.showMessage('Please enter the price you paid.', 'error');
+                return;
             }
-        );
-    }
 
-    // Utility Functions with Enhanced Safety
-    setDefaultDateTime() {
-        try {
-            const now = new Date();
-            const localDateTime = new Date(now.getTime() - now.getTimezoneOffset() * 60000)
-                .toISOString()
-                .slice(0, 16);
-            
-            const timeInput = document.getElementById('time');
-            if (timeInput) {
-                timeInput.value = localDateTime;
+            if (productId !== null && !this.getProduct(productId)) {
+                this.showMessage('Please select a valid product.', 'error');
+                return;
             }
-        } catch (error) {
-            console.error('Error setting default date time:', error);
-        }
-    }
 
-    // Update time field in real-time
-    updateTimeField() {
-        try {
-            const timeInput = document.getElementById('time');
-            if (timeInput) {
-                // Only update if the input is not focused AND user hasn't manually changed it
-                if (document.activeElement !== timeInput && !this.timeManuallyChanged) {
-                    const now = new Date();
-                    const localDateTime = new Date(now.getTime() - now.getTimezoneOffset() * 60000)
-                        .toISOString()
-                        .slice(0, 16);
-                    timeInput.value = localDateTime;
-                }
+            if (stashId !== null && !this.getStash(stashId)) {
+                this.showMessage('Please select a valid stash.', 'error');
+                return;
             }
-        } catch (error) {
-            console.error('Error updating time field:', error);
-        }
-    }
 
-    // Input sanitization
-    sanitizeInput(input, maxLength = 1000) {
-        if (typeof input !== 'string') {
-            return '';
-        }
-        
-        // Remove potentially dangerous characters and limit length
-        return input
-            .replace(/[<>]/g, '') // Remove < and > to prevent HTML injection
-            .substring(0, maxLength)
-            .trim();
-    }
+            const purchase = {
+                id: Date.now(),
+                timestamp: timestamp,
+                grams: grams,
+                price: price,
+                productId: productId,
+                stashId: stashId,
+                notes: notes,
+                createdAt: new Date().toISOString()
+            };
 
-    // Safe DOM element access
-    getElementSafely(id) {
-        try {
-            const element = document.getElementById(id);
-            if (!element) {
-                console.warn(`Element with id '${id}' not found`);
+            if (!this.validatePurchase(purchase)) {
+                this.showMessage('Invalid purchase data. Please check your input.', 'error');
+                return;
+            }
+
+            this.purchases.push(purchase);
+            this.purchases.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+            this.savePurchases();
+
+            document.getElementById('purchaseForm').reset();
+            document.getElementById('purchaseTime').value = this.toLocalDateTimeString(new Date());
+            this.renderPurchases();
+            this.renderStashOptions();
+            this.renderStashes();
+            this.updateDashboard();
+            const budgetWarning = this.goals.budgetSource === 'purchases' ? this.getBudgetWarning() : null;
+            if (budgetWarning) {
+                this.showMessage(`Purchase logged. ${budgetWarning}`, 'info');
+            } else {
+                this.showMessage(stashId
+                    ? `Purchase logged and ${grams}g added to ${this.getStash(stashId).name}.`
+                    : 'Purchase logged.', 'success');
             }
-            return element;
         } catch (error) {
-            console.error(`Error accessing element '${id}':`, error);
-            return null;
+            console.error('Error adding purchase:', error);
+            this.showMessage('Failed to log purchase. Please try again.', 'error');
         }
     }
 
-    showMessage(message, type = 'success') {
-        try {
-            // Remove existing messages
-            const existingMessages = document.querySelectorAll('.message');
-            existingMessages.forEach(msg => {
-                try {
-                    msg.remove();
-                } catch (error) {
-                    console.error('Error removing message:', error);
-                }
-            });
+    deletePurchase(id) {
+        if (!this.purchases.some(purchase => purchase.id === id)) {
+            this.showMessage('Purchase not found.', 'error');
+            return;
+        }
 
-            // Sanitize message
-            const sanitizedMessage = this.sanitizeInput(message, 200);
+        const before = this.captureUndoState();
+        this.purchases = this.purchases.filter(purchase => purchase.id !== id);
+        this.recordUndo('Delete purchase', before);
+        this.savePurchases();
+        this.renderPurchases();
+        this.renderStashOptions();
+        this.updateDashboard();
+        this.showMessage('Purchase deleted.', 'success', this.getUndoToastAction());
+    }
 
-            // Create new message
-            const messageDiv = document.createElement('div');
-            messageDiv.className = `message ${type}`;
-            messageDiv.textContent = sanitizedMessage;
+    renderPurchases() {
+        const list = document.getElementById('purchaseList');
+        if (list) {
+            const recent = [...this.purchases]
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+                .slice(0, 20);
 
-            // Add icon based on type
-            const icon = type === 'success' ? '✓' : type === 'error' ? '✗' : 'ℹ';
-            messageDiv.innerHTML = `<span class="message-icon">${icon}</span> ${sanitizedMessage}`;
+            list.innerHTML = recent.length === 0 ? `
+                <div class="empty-state">
+                    <i class="fas fa-receipt"></i>
+                    <h3>No purchases logged</h3>
+                    <p>Log what you buy to see what you really spend</p>
+                </div>
+            ` : recent.map(purchase => this.createPurchaseHTML(purchase)).join('');
+        }
 
-            // Append to body for floating effect
-            document.body.appendChild(messageDiv);
+        this.updateSpendingStats();
+    }
 
-            // Trigger animation by adding show class after a small delay
-            setTimeout(() => {
-                messageDiv.classList.add('show');
-            }, 10);
+    createPurchaseHTML(purchase) {
+        const date = new Date(purchase.timestamp);
+        const product = purchase.productId ? this.getProduct(purchase.productId) : null;
+        const stash = purchase.stashId ? this.getStash(purchase.stashId) : null;
+        const details = [
+            product ? product.name : '',
+            stash ? `into ${stash.name}` : '',
+            `${this.formatCurrency(purchase.price / purchase.grams)}/g`
+        ].filter(Boolean).join(' · ');
 
-            // Auto remove after appropriate time
-            const duration = type === 'error' ? 5000 : 3000; // Errors stay longer
-            setTimeout(() => {
-                messageDiv.classList.remove('show');
-                setTimeout(() => {
-                    try {
-                        messageDiv.remove();
-                    } catch (error) {
-                        console.error('Error removing message:', error);
-                    }
-                }, 300);
-            }, duration);
+        return `
+            <div class="entry-item">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${purchase.grams}g</span>
+                        <span class="entry-method">${this.formatCurrency(purchase.price)}</span>
+                        <span class="entry-time">${date.toLocaleDateString()}</span>
+                    </div>
+                    <div class="entry-context"><span>${details}</span></div>
+                    ${purchase.notes ? `<div class="entry-notes">"${purchase.notes}"</div>` : ''}
+                </div>
+                <div class="entry-actions">
+                    <button class="btn-icon" onclick="tracker.deletePurchase(${purchase.id})" title="Delete purchase">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+    }
 
-            // Log message for debugging
-            console.log(`[${type.toUpperCase()}] ${sanitizedMessage}`);
-        } catch (error) {
-            console.error('Error showing message:', error);
-            // Fallback to alert if message system fails
-            alert(`${type.toUpperCase()}: ${message}`);
+    // Calendar periods: the week starts on Sunday like the weekly charts
+    getPeriodStart(period, date = new Date()) {
+        if (period === 'week') {
+            return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+        }
+        if (period === 'month') {
+            return new Date(date.getFullYear(), date.getMonth(), 1);
         }
+        return new Date(date.getFullYear(), 0, 1);
     }
 
-    // Export/Import with Error Handling
-    exportData() {
-        try {
-            const data = {
-                entries: this.entries,
-                goals: this.goals,
-                settings: this.settings,
-                exportDate: new Date().toISOString()
-            };
-
-            // Validate data before export
-            if (!this.validateExportData(data)) {
-                this.showMessage('Data validation failed. Cannot export.', 'error');
-                return;
-            }
-
-            const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `weed-tracker-export-${new Date().toISOString().split('T')[0]}.json`;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+    getSpendingSummary(period) {
+        const now = new Date();
+        const start = this.getPeriodStart(period, now);
+        const inPeriod = item => {
+            const time = new Date(item.timestamp);
+            return time >= start && time <= now;
+        };
 
-            this.showMessage('Data exported successfully!', 'success');
-        } catch (error) {
-            console.error('Error exporting data:', error);
-            this.showMessage('Failed to export data. Please try again.', 'error');
-        }
+        return {
+            spent: this.purchases.filter(inPeriod).reduce((sum, purchase) => sum + purchase.price, 0),
+            estimated: this.entries.filter(inPeriod).reduce((sum, entry) => sum + this.getEntryCost(entry), 0)
+        };
     }
 
-    importData() {
-        try {
-            // Check if required methods are available
-            if (typeof this.showMessage !== 'function') {
-                console.error('showMessage method not available');
-                alert('Application not fully loaded. Please refresh the page and try again.');
-                return;
-            }
+    updateSpendingStats() {
+        if (!document.getElementById('spendWeek')) return;
 
-            if (typeof this.showConfirmModal !== 'function') {
-                console.error('showConfirmModal method not available');
-                this.showMessage('Application not fully loaded. Please refresh the page and try again.', 'error');
-                return;
-            }
+        ['week', 'month', 'year'].forEach(period => {
+            const summary = this.getSpendingSummary(period);
+            const suffix = period.charAt(0).toUpperCase() + period.slice(1);
+            document.getElementById(`spend${suffix}`).textContent = this.formatCurrency(summary.spent);
+            document.getElementById(`estimated${suffix}`).textContent = `est. use ${this.formatCurrency(summary.estimated)}`;
+        });
+    }
 
-            // Create file input element
-            const fileInput = document.createElement('input');
-            fileInput.type = 'file';
-            fileInput.accept = '.json';
-            fileInput.style.display = 'none';
-            
-            fileInput.addEventListener('change', (event) => {
-                try {
-                    const file = event.target.files[0];
-                    if (!file) {
-                        return;
-                    }
+    // Spend so far in the budget period, and where the current pace ends up by the end of it
+    getBudgetStatus() {
+        const period = this.goals.budgetPeriod === 'week' ? 'week' : 'month';
+        const now = new Date();
+        const start = this.getPeriodStart(period, now);
+        const end = period === 'week'
+            ? new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7)
+            : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+        const summary = this.getSpendingSummary(period);
+        const spent = this.goals.budgetSource === 'purchases' ? summary.spent : summary.estimated;
+
+        // Count at least a day so the first hours of a period don't project wildly
+        const dayMs = 24 * 60 * 60 * 1000;
+        const elapsedDays = Math.max((now - start) / dayMs, 1);
+        const periodDays = (end - start) / dayMs;
+        const projected = spent / Math.min(elapsedDays, periodDays) * periodDays;
+
+        return { period, spent, projected, budget: this.goals.budgetAmount };
+    }
 
-                    // Validate file type
-                    if (file.type !== 'application/json' && !file.name.endsWith('.json')) {
-                        this.showMessage('Please select a valid JSON file.', 'error');
-                        return;
-                    }
+    getBudgetWarning() {
+        if (!this.goals.budgetAmount) return null;
 
-                    // Validate file size (max 10MB)
-                    if (file.size > 10 * 1024 * 1024) {
-                        this.showMessage('File is too large. Please select a file smaller than 10MB.', 'error');
-                        return;
-                    }
+        const status = this.getBudgetStatus();
+        if (status.spent > status.budget) {
+            return `You're over your ${status.period}ly budget of ${this.formatCurrency(status.budget)}.`;
+        }
+        if (status.projected > status.budget) {
+            return `At this pace you'll spend ${this.formatCurrency(status.projected)} this ${status.period}, over your ${this.formatCurrency(status.budget)} budget.`;
+        }
+        return null;
+    }
 
-                    const reader = new FileReader();
-                    reader.onload = (e) => {
-                        try {
-                            const importedData = JSON.parse(e.target.result);
-                            
-                            // Validate imported data structure
-                            if (!this.validateImportData(importedData)) {
-                                this.showMessage('Invalid data format. Please select a valid export file.', 'error');
-                                return;
-                            }
+    updateBudgetProgress() {
+        const fill = document.getElementById('budgetProgress');
+        const text = document.getElementById('budgetText');
+        if (!fill || !text) return;
 
-                            // Show confirmation modal with import details
-                            this.showImportConfirmation(importedData);
-                            
-                        } catch (error) {
-                            console.error('Error parsing imported file:', error);
-                            this.showMessage('Failed to parse the file. Please check if it\'s a valid export file.', 'error');
-                        }
-                    };
+        const group = document.getElementById('budgetProgressGroup');
+        if (!this.goals.budgetAmount) {
+            group.style.display = 'none';
+            return;
+        }
 
-                    reader.onerror = () => {
-                        this.showMessage('Failed to read the file. Please try again.', 'error');
-                    };
+        const status = this.getBudgetStatus();
+        const over = status.projected > status.budget;
+        const source = this.goals.budgetSource === 'purchases' ? 'spent' : 'used (est.)';
 
-                    reader.readAsText(file);
-                } catch (error) {
-                    console.error('Error in file change handler:', error);
-                    this.showMessage('Error processing file. Please try again.', 'error');
-                }
-            });
+        group.style.display = 'block';
+        fill.style.width = Math.min((status.spent / status.budget) * 100, 100) + '%';
+        fill.classList.toggle('over-budget', over);
+        text.classList.toggle('over-budget', over);
 
-            // Trigger file selection
-            document.body.appendChild(fileInput);
-            fileInput.click();
-            document.body.removeChild(fileInput);
-            
-        } catch (error) {
-            console.error('Error importing data:', error);
-            if (typeof this.showMessage === 'function') {
-                this.showMessage('Failed to import data. Please try again.', 'error');
-            } else {
-                alert('Failed to import data. Please refresh the page and try again.');
-            }
+        if (status.spent > status.budget) {
+            text.textContent = `${this.formatCurrency(status.spent)} ${source} this ${status.period}, ${this.formatCurrency(status.spent - status.budget)} over budget`;
+        } else if (over) {
+            text.textContent = `${this.formatCurrency(status.spent)} of ${this.formatCurrency(status.budget)} ${source}; on pace for ${this.formatCurrency(status.projected)} this ${status.period}`;
+        } else {
+            text.textContent = `${this.formatCurrency(status.spent)} of ${this.formatCurrency(status.budget)} ${source} this ${status.period}`;
         }
     }
 
-    validateImportData(data) {
-        try {
-            if (!data || typeof data !== 'object') {
-                return false;
-            }
+    // Taper Plan
+    // Average weekly use over the last four weeks
+    getTaperBaseline(unit) {
+        const since = new Date(Date.now() - 28 * 24 * 60 * 60 * 1000);
+        const recent = this.entries.filter(entry => new Date(entry.timestamp) >= since);
+        return this.roundDose(this.sumDoses(recent, unit) / 4, unit);
+    }
 
-            // Check for required fields
-            if (!Array.isArray(data.entries)) {
-                return false;
+    // Weekly amounts stepping down from the baseline; the last week is the target.
+    // Returns null when the percentage is too small to get there within 104 weeks.
+    buildTaperSchedule(baseline, target, mode, value, unit) {
+        const schedule = [];
+
+        if (mode === 'percent') {
+            const minStep = unit === 'thc' ? 1 : 0.1;
+            let amount = baseline * (1 - value / 100);
+            while (amount - target >= minStep) {
+                if (schedule.length === 103) return null;
+                schedule.push(this.roundDose(amount, unit));
+                amount = amount * (1 - value / 100);
             }
-
-            if (!this.validateGoals(data.goals)) {
-                return false;
+        } else {
+            for (let week = 1; week < value; week++) {
+                schedule.push(this.roundDose(baseline - (baseline - target) * week / value, unit));
             }
+        }
 
-            if (!this.validateSettings(data.settings)) {
-                return false;
-            }
+        schedule.push(target);
+        return schedule;
+    }
 
-            // Validate each entry in the imported data
-            for (const entry of data.entries) {
-                if (!this.validateEntry(entry)) {
-                    return false;
-                }
-            }
+    getTaperWeekStart(taper, week) {
+        const start = new Date(taper.startDate);
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + week * 7);
+    }
 
-            return true;
-        } catch (error) {
-            console.error('Import data validation error:', error);
-            return false;
-        }
+    getTaperWeekIndex(taper, date = new Date()) {
+        const start = this.getTaperWeekStart(taper, 0);
+        return Math.max(Math.floor((date - start) / (7 * 24 * 60 * 60 * 1000)), 0);
     }
 
-    showImportConfirmation(importedData) {
-        const entryCount = importedData.entries.length;
-        const exportDate = importedData.exportDate ? new Date(importedData.exportDate).toLocaleDateString() : 'Unknown';
-        
-        const message = `Import ${entryCount} entries from ${exportDate}?\n\nThis will replace your current data. Make sure to export your current data first if you want to keep it.`;
-        
-        this.showConfirmModal(message, () => {
-            this.performImport(importedData);
+    getTaperWeekUsage(taper, week) {
+        const start = this.getTaperWeekStart(taper, week);
+        const end = this.getTaperWeekStart(taper, week + 1);
+        const weekEntries = this.entries.filter(entry => {
+            const time = new Date(entry.timestamp);
+            return time >= start && time < end;
         });
+        return this.sumDoses(weekEntries, taper.unit);
     }
 
-    performImport(importedData) {
-        try {
-            // Backup current data before import
-            const backupData = {
-                entries: [...this.entries],
-                goals: { ...this.goals },
-                settings: { ...this.settings },
-                backupDate: new Date().toISOString()
-            };
+    getTaperWeekAmount(taper, week) {
+        return taper.schedule[Math.min(week, taper.schedule.length - 1)];
+    }
 
-            // Store backup in localStorage with timestamp
-            const backupKey = `weedTrackerBackup_${Date.now()}`;
-            localStorage.setItem(backupKey, JSON.stringify(backupData));
+    // Checks the weeks that ended since the last visit and sets this week's goal from the plan.
+    // A missed week is repeated instead of stepping down, which pushes the rest of the plan back a week.
+    // Runs on startup and from the minute timer, never while rendering; returns whether the goal changed.
+    updateTaperWeek() {
+        if (!this.goals.taper) return false;
+
+        const taper = { ...this.goals.taper, schedule: [...this.goals.taper.schedule], missedWeeks: [...this.goals.taper.missedWeeks] };
+        const currentWeek = this.getTaperWeekIndex(taper);
+
+        while (taper.checkedWeeks < currentWeek) {
+            const week = taper.checkedWeeks;
+            const planned = this.getTaperWeekAmount(taper, week);
+            if (week < taper.schedule.length - 1 && this.getTaperWeekUsage(taper, week) > planned) {
+                taper.schedule.splice(week + 1, 0, planned);
+                taper.missedWeeks.push(week);
+            }
+            taper.checkedWeeks++;
+        }
 
-            // Import the new data
-            this.entries = [...importedData.entries];
-            this.goals = { ...importedData.goals };
-            this.settings = { ...importedData.settings };
+        const weeklyAmount = this.getTaperWeekAmount(taper, currentWeek);
+        const changed = taper.checkedWeeks !== this.goals.taper.checkedWeeks ||
+            weeklyAmount !== this.goals.weeklyAmount || taper.unit !== this.goals.weeklyUnit;
 
-            // Save imported data
-            this.saveEntries();
+        if (changed) {
+            this.goals = { ...this.goals, weeklyAmount: weeklyAmount, weeklyUnit: taper.unit, taper: taper };
             this.saveGoals();
-            this.saveSettings();
-
-            // Update UI
-            this.updateDashboard();
-            this.renderEntries();
-            this.initializeCharts(); // Reinitialize charts with new data
+        }
+        return changed;
+    }
 
-            this.showMessage(`Successfully imported ${importedData.entries.length} entries!`, 'success');
-            
-            // Clean up old backups (keep only last 5)
-            this.cleanupOldBackups();
-            
-        } catch (error) {
-            console.error('Error performing import:', error);
-            this.showMessage('Failed to import data. Please try again.', 'error');
+    updateTaperProgress() {
+        const taper = this.goals.taper;
+        const week = this.getTaperWeekIndex(taper);
+        const planned = this.getTaperWeekAmount(taper, week);
+        const used = this.getTaperWeekUsage(taper, week);
+        const weekLabel = week < taper.schedule.length
+            ? `Week ${week + 1} of ${taper.schedule.length}`
+            : 'Plan complete';
+
+        const progress = planned > 0 ? Math.min((used / planned) * 100, 100) : (used > 0 ? 100 : 0);
+        let text;
+        if (used > planned) {
+            text = `${weekLabel}: ${this.formatDose(used - planned, taper.unit)} over this week's ${this.formatDose(planned, taper.unit)}`;
+        } else if (planned === 0) {
+            text = `${weekLabel}: aim for no use this week`;
+        } else {
+            text = `${weekLabel}: ${this.formatDose(planned - used, taper.unit)} of ${this.formatDose(planned, taper.unit)} remaining this week`;
         }
+
+        document.getElementById('goalProgress').style.width = progress + '%';
+        document.getElementById('goalText').textContent = text;
     }
 
-    cleanupOldBackups() {
-        try {
-            const backupKeys = [];
-            for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                if (key && key.startsWith('weedTrackerBackup_')) {
-                    backupKeys.push(key);
-                }
-            }
+    openTaperModal() {
+        const taper = this.goals.taper;
+        const unit = taper ? taper.unit : (this.goals.weeklyUnit || 'grams');
+
+        document.getElementById('taperForm').reset();
+        document.getElementById('taperUnit').value = unit;
+        document.getElementById('taperBaseline').value = taper ? taper.baseline : (this.getTaperBaseline(unit) || '');
+        document.getElementById('taperTarget').value = taper ? taper.target : 0;
+        document.getElementById('taperMode').value = taper ? taper.mode : 'duration';
+        document.getElementById('taperValue').value = taper ? taper.value : 8;
+        document.getElementById('stopTaperButton').style.display = taper ? 'inline-flex' : 'none';
+        this.updateTaperModeFields();
+        this.renderTaperSummary();
+
+        document.getElementById('taperModal').style.display = 'block';
+        this.updateTaperChart();
+    }
 
-            // Sort by timestamp (newest first) and keep only last 5
-            backupKeys.sort().reverse();
-            for (let i = 5; i < backupKeys.length; i++) {
-                localStorage.removeItem(backupKeys[i]);
-            }
-        } catch (error) {
-            console.error('Error cleaning up backups:', error);
+    closeTaperModal() {
+        document.getElementById('taperModal').style.display = 'none';
+    }
+
+    updateTaperModeFields() {
+        const percent = document.getElementById('taperMode').value === 'percent';
+        document.getElementById('taperValueLabel').textContent = percent ? 'Reduction per week (%)' : 'Duration (weeks)';
+        document.getElementById('taperValue').max = percent ? 90 : 104;
+    }
+
+    renderTaperSummary() {
+        const summary = document.getElementById('taperSummary');
+        const taper = this.goals.taper;
+
+        if (!taper) {
+            summary.textContent = 'No taper plan yet. Your baseline is the average of your last 4 weeks.';
+            return;
         }
+
+        const week = this.getTaperWeekIndex(taper);
+        const missed = taper.missedWeeks.length;
+        summary.textContent = [
+            `Started ${new Date(taper.startDate).toLocaleDateString()}`,
+            `${this.formatDose(taper.baseline, taper.unit)} → ${this.formatDose(taper.target, taper.unit)} per week`,
+            week < taper.schedule.length ? `week ${week + 1} of ${taper.schedule.length}` : 'plan complete',
+            missed ? `${missed} missed week${missed === 1 ? '' : 's'} repeated` : ''
+        ].filter(Boolean).join(' · ');
     }
 
-    validateExportData(data) {
+    saveTaperPlan() {
         try {
-            if (!data || typeof data !== 'object') {
-                return false;
+            const unit = document.getElementById('taperUnit').value === 'thc' ? 'thc' : 'grams';
+            const baseline = parseFloat(document.getElementById('taperBaseline').value);
+            const target = parseFloat(document.getElementById('taperTarget').value || '0');
+            const mode = document.getElementById('taperMode').value === 'percent' ? 'percent' : 'duration';
+            const value = parseFloat(document.getElementById('taperValue').value);
+
+            if (isNaN(baseline) || baseline <= 0) {
+                this.showMessage('Please enter a starting weekly amount greater than 0.', 'error');
+                return;
             }
 
-            if (!Array.isArray(data.entries)) {
-                return false;
+            if (isNaN(target) || target < 0 || target >= baseline) {
+                this.showMessage('The target must be 0 or more and below the starting amount.', 'error');
+                return;
             }
 
-            if (!this.validateGoals(data.goals)) {
-                return false;
+            if (mode === 'percent' && (isNaN(value) || value < 1 || value > 90)) {
+                this.showMessage('Please enter a weekly reduction between 1 and 90%.', 'error');
+                return;
             }
 
-            if (!this.validateSettings(data.settings)) {
-                return false;
+            if (mode === 'duration' && (!Number.isInteger(value) || value < 1 || value > 104)) {
+                this.showMessage('Please enter a duration between 1 and 104 weeks.', 'error');
+                return;
             }
 
-            if (!data.exportDate || !this.isValidDate(data.exportDate)) {
-                return false;
+            const schedule = this.buildTaperSchedule(baseline, target, mode, value, unit);
+            if (!schedule) {
+                this.showMessage(`A ${value}% weekly reduction takes more than 104 weeks to reach your target. Try a larger percentage.`, 'error');
+                return;
             }
 
-            return true;
-        } catch (error) {
-            console.error('Export data validation error:', error);
-            return false;
-        }
-    }
+            const start = new Date();
+            start.setHours(0, 0, 0, 0);
+
+            const taper = {
+                startDate: start.toISOString(),
+                baseline: baseline,
+                target: target,
+                unit: unit,
+                mode: mode,
+                value: value,
+                schedule: schedule,
+                checkedWeeks: 0,
+                missedWeeks: []
+            };
 
-    clearData() {
-        try {
-            this.showConfirmModal(
-                'Are you sure you want to clear all data? This action cannot be undone.',
-                () => {
-                    this.entries = [];
-                    this.goals = this.getDefaultGoals();
-                    this.alternatives = this.getDefaultAlternatives();
-                    
-                    // Clear localStorage
-                    try {
-                        localStorage.removeItem('weedTrackerEntries');
-                        localStorage.removeItem('weedTrackerGoals');
-                        localStorage.removeItem('weedTrackerAlternatives');
-                    } catch (error) {
-                        console.error('Error clearing localStorage:', error);
-                    }
-                    
-                    this.saveEntries();
-                    this.saveGoals();
-                    this.saveAlternatives();
-                    this.updateDashboard();
-                    this.renderEntries();
-                    this.renderAlternatives();
-                    this.showMessage('All data cleared successfully!', 'success');
-                }
-            );
+            if (!this.validateTaper(taper)) {
+                this.showMessage('Invalid taper plan. Please check your input.', 'error');
+                return;
+            }
+
+            this.goals = {
+                ...this.goals,
+                goalType: 'reduce', // A taper plan replaces quit mode
+                startDate: new Date().toISOString(),
+                weeklyAmount: taper.schedule[0],
+                weeklyUnit: unit,
+                taper: taper,
+                quitDate: null
+            };
+            this.saveGoals();
+            this.updateGoalProgress();
+            this.updateStreak();
+            this.renderEntries();
+            this.renderTaperSummary();
+            this.updateTaperChart();
+            document.getElementById('stopTaperButton').style.display = 'inline-flex';
+            this.showMessage(`Taper plan started: ${taper.schedule.length} weeks, ${this.formatDose(taper.schedule[0], unit)} this week.`, 'success');
         } catch (error) {
-            console.error('Error clearing data:', error);
-            this.showMessage('Failed to clear data. Please try again.', 'error');
+            console.error('Error saving taper plan:', error);
+            this.showMessage('Failed to save taper plan. Please try again.', 'error');
         }
     }
 
-    // Modal Management
-    openGoalModal() {
-        const modal = document.getElementById('goalModal');
-        const weeklyGoalInput = document.getElementById('weeklyGoal');
-        const goalTypeSelect = document.getElementById('goalType');
-        const stashAmountInput = document.getElementById('stashAmount');
-
-        // Pre-fill with current values
-        weeklyGoalInput.value = this.goals.weeklyAmount || '';
-        goalTypeSelect.value = this.goals.goalType || 'reduce';
-        stashAmountInput.value = this.goals.stashAmount || '';
+    stopTaperPlan() {
+        if (!this.goals.taper) return;
 
-        // Show/hide appropriate fields based on current goal type
-        this.toggleGoalFields();
+        this.showConfirmModal('Stop your taper plan? This week\'s goal stays as your weekly goal.', () => {
+            const before = this.captureUndoState();
+            this.goals = { ...this.goals, taper: null };
+            this.recordUndo('Stop taper plan', before);
+            this.saveGoals();
+            this.updateGoalProgress();
+            this.closeTaperModal();
+            this.showMessage('Taper plan stopped.', 'success', this.getUndoToastAction());
+        });
+    }
 
-        modal.style.display = 'block';
+    // Daily Rules
+    getRuleTypes() {
+        return {
+            maxPerDay: 'Max grams per day',
+            notBefore: 'No use before a time',
+            noWeekdays: 'No use on weekdays',
+            maxSessions: 'Max sessions per day'
+        };
     }
 
-    closeGoalModal() {
-        document.getElementById('goalModal').style.display = 'none';
+    getRuleLabel(rule) {
+        switch (rule.type) {
+            case 'maxPerDay':
+                return `Max ${rule.value}g per day`;
+            case 'notBefore':
+                return `No use before ${rule.value}`;
+            case 'noWeekdays':
+                return 'No use on weekdays';
+            default:
+                return `Max ${rule.value} session${rule.value === 1 ? '' : 's'} per day`;
+        }
     }
 
-    showConfirmModal(message, onConfirm) {
-        const modal = document.getElementById('confirmModal');
-        const messageEl = document.getElementById('confirmMessage');
-        const confirmBtn = document.getElementById('confirmButton');
+    // Why a day's entries break the rule, or null when they keep it
+    checkRule(rule, dayEntries, date) {
+        if (dayEntries.length === 0) return null;
 
-        messageEl.textContent = message;
-        modal.style.display = 'block';
+        switch (rule.type) {
+            case 'maxPerDay': {
+                const grams = dayEntries.reduce((sum, entry) => sum + this.getEntryGrams(entry), 0);
+                return grams > rule.value + 1e-9 ? `${grams.toFixed(1)}g that day is over your ${rule.value}g daily limit` : null;
+            }
+            case 'notBefore': {
+                const [hours, minutes] = rule.value.split(':').map(Number);
+                const early = dayEntries.some(entry => {
+                    const time = new Date(entry.timestamp);
+                    return time.getHours() * 60 + time.getMinutes() < hours * 60 + minutes;
+                });
+                return early ? `no use before ${rule.value}` : null;
+            }
+            case 'noWeekdays':
+                return date.getDay() !== 0 && date.getDay() !== 6 ? 'no use on weekdays' : null;
+            default:
+                return dayEntries.length > rule.value
+                    ? `${dayEntries.length} sessions that day is over your limit of ${rule.value}`
+                    : null;
+        }
+    }
 
-        // Remove existing listeners
-        const newConfirmBtn = confirmBtn.cloneNode(true);
-        confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
+    getEntriesOnDay(date) {
+        return this.entries.filter(entry => new Date(entry.timestamp).toDateString() === date.toDateString());
+    }
 
-        // Add new listener
-        newConfirmBtn.addEventListener('click', () => {
-            onConfirm();
-            this.closeConfirmModal();
-        });
+    // An entry being edited replaces its saved version in the day's totals
+    getRuleViolations(entry) {
+        const date = new Date(entry.timestamp);
+        const dayEntries = [...this.getEntriesOnDay(date).filter(item => item.id !== entry.id), entry];
+        return (this.goals.rules || [])
+            .map(rule => this.checkRule(rule, dayEntries, date))
+            .filter(Boolean);
     }
 
-    closeConfirmModal() {
-        document.getElementById('confirmModal').style.display = 'none';
+    // Days kept per week for the last four weeks, counting only days since the rule was added
+    getRuleCompliance(rule, weeks = 4) {
+        const created = new Date(rule.createdAt);
+        created.setHours(0, 0, 0, 0);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const result = [];
+        for (let week = weeks - 1; week >= 0; week--) {
+            let days = 0;
+            let kept = 0;
+            for (let offset = 6; offset >= 0; offset--) {
+                const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - week * 7 - offset);
+                if (date < created) continue;
+                // Weekends can't break a weekday rule, so they don't count towards it
+                if (rule.type === 'noWeekdays' && (date.getDay() === 0 || date.getDay() === 6)) continue;
+
+                days++;
+                if (!this.checkRule(rule, this.getEntriesOnDay(date), date)) kept++;
+            }
+            result.push({ days, kept });
+        }
+        return result;
     }
 
-    toggleGoalFields() {
-        const goalType = document.getElementById('goalType').value;
-        const weeklyGoalGroup = document.getElementById('weeklyGoalGroup');
-        const stashGoalGroup = document.getElementById('stashGoalGroup');
+    updateRuleCompliance() {
+        const container = document.getElementById('ruleCompliance');
+        if (!container) return;
 
-        if (goalType === 'stash') {
-            weeklyGoalGroup.style.display = 'none';
-            stashGoalGroup.style.display = 'block';
-        } else {
-            weeklyGoalGroup.style.display = 'block';
-            stashGoalGroup.style.display = 'none';
+        const rules = this.goals.rules || [];
+        if (rules.length === 0) {
+            container.innerHTML = '<p>Add rules like "max 2 sessions per day" to check each entry against them</p>';
+            return;
         }
+
+        container.innerHTML = rules.map(rule => {
+            const compliance = this.getRuleCompliance(rule);
+            const days = compliance.reduce((sum, week) => sum + week.days, 0);
+            const kept = compliance.reduce((sum, week) => sum + week.kept, 0);
+            return `
+                <div class="rule-row">
+                    <span class="rule-label">${this.getRuleLabel(rule)}</span>
+                    <span class="rule-weeks">
+                        ${compliance.map((week, index) => {
+                            const level = week.days === 0 ? 'none' : week.kept === week.days ? 'kept' : week.kept / week.days >= 0.5 ? 'partial' : 'broken';
+                            const weeksAgo = compliance.length - 1 - index;
+                            const label = `${weeksAgo === 0 ? 'Last 7 days' : `${weeksAgo} week${weeksAgo === 1 ? '' : 's'} before`}: ${week.days === 0 ? 'no days yet' : `${week.kept} of ${week.days} days kept`}`;
+                            return `<span class="rule-week ${level}" title="${label}"></span>`;
+                        }).join('')}
+                    </span>
+                    <span class="rule-score">${days > 0 ? `${kept}/${days} days` : '-'}</span>
+                </div>
+            `;
+        }).join('');
     }
 
-    // Alternatives Management
-    getOralFixationAlternatives() {
-        return [
-            {
-                title: "Sugar-free gum",
-                description: "Chew sugar-free gum to satisfy oral fixation without calories",
-                icon: "fas fa-chewing-gum"
-            },
-            {
-                title: "Herbal tea",
-                description: "Sip on warm herbal tea with honey for a soothing experience",
-                icon: "fas fa-mug-hot"
-            },
-            {
-                title: "Crunchy vegetables",
-                description: "Snack on carrots, celery, or cucumber for satisfying crunch",
-                icon: "fas fa-carrot"
-            },
-            {
-                title: "Ice cubes",
-                description: "Suck on ice cubes or flavored ice for oral stimulation",
-                icon: "fas fa-snowflake"
-            },
-            {
-                title: "Hard candies",
-                description: "Sugar-free hard candies that last longer",
-                icon: "fas fa-candy-cane"
-            },
-            {
-                title: "Sunflower seeds",
-                description: "Shell and eat sunflower seeds for manual and oral activity",
-                icon: "fas fa-seedling"
-            },
-            {
-                title: "Fizzy water",
-                description: "Sparkling water with lemon or lime for bubbly sensation",
-                icon: "fas fa-glass-water"
-            },
-            {
-                title: "Frozen grapes",
-                description: "Freeze grapes for a cold, sweet treat that takes time to eat",
-                icon: "fas fa-grapes"
-            }
-        ];
+    openRuleModal() {
+        document.getElementById('ruleForm').reset();
+        this.updateRuleValueField();
+        this.renderRules();
+        document.getElementById('ruleModal').style.display = 'block';
     }
 
-    getGeneralAlternatives() {
-        return [
-            {
-                title: "Take a walk",
-                description: "Go for a 10-15 minute walk to clear your mind and get fresh air",
-                icon: "fas fa-walking"
-            },
-            {
-                title: "Deep breathing",
-                description: "Practice 4-7-8 breathing: inhale 4, hold 7, exhale 8",
-                icon: "fas fa-lungs"
-            },
-            {
-                title: "Call a friend",
-                description: "Reach out to someone you trust for support and distraction",
-                icon: "fas fa-phone"
-            },
-            {
-                title: "Read a book",
-                description: "Immerse yourself in a good book to escape and relax",
-                icon: "fas fa-book"
-            },
-            {
-                title: "Listen to music",
-                description: "Put on your favorite playlist and let the music carry you",
-                icon: "fas fa-music"
-            },
-            {
-                title: "Do a puzzle",
-                description: "Crossword, Sudoku, or jigsaw puzzle to engage your mind",
-                icon: "fas fa-puzzle-piece"
-            },
-            {
-                title: "Take a shower",
-                description: "A warm shower can help relax and reset your mood",
-                icon: "fas fa-shower"
-            },
-            {
-                title: "Write in a journal",
-                description: "Express your thoughts and feelings on paper",
-                icon: "fas fa-pen"
-            },
-            {
-                title: "Stretch or yoga",
-                description: "Gentle stretching or yoga poses to release tension",
-                icon: "fas fa-yoga"
-            },
-            {
-                title: "Clean something",
-                description: "Organize a drawer or clean a small area to feel productive",
-                icon: "fas fa-broom"
-            },
-            {
-                title: "Draw or color",
-                description: "Creative activities can be very therapeutic and distracting",
-                icon: "fas fa-palette"
-            },
-            {
-                title: "Meditation",
-                description: "5-10 minutes of mindfulness meditation to center yourself",
-                icon: "fas fa-om"
-            }
-        ];
+    closeRuleModal() {
+        document.getElementById('ruleModal').style.display = 'none';
     }
 
-    renderAlternatives() {
-        try {
-            const oralContainer = document.getElementById('oralAlternatives');
-            const generalContainer = document.getElementById('generalAlternatives');
+    updateRuleValueField() {
+        const type = document.getElementById('ruleType').value;
+        const input = document.getElementById('ruleValue');
+        const settings = {
+            maxPerDay: { label: 'Grams per day', type: 'number', step: '0.1', placeholder: '0.5' },
+            notBefore: { label: 'Not before', type: 'time', step: '60', placeholder: '' },
+            maxSessions: { label: 'Sessions per day', type: 'number', step: '1', placeholder: '2' }
+        }[type];
+
+        document.getElementById('ruleValueGroup').style.display = settings ? 'block' : 'none';
+        if (!settings) return;
+
+        document.getElementById('ruleValueLabel').textContent = settings.label;
+        input.type = settings.type;
+        input.step = settings.step;
+        input.placeholder = settings.placeholder;
+        input.value = type === 'notBefore' ? '18:00' : '';
+    }
 
-            if (!oralContainer || !generalContainer) {
-                console.error('Alternative containers not found');
+    addRule() {
+        try {
+            const type = document.getElementById('ruleType').value;
+            const rawValue = document.getElementById('ruleValue').value;
+            const value = type === 'notBefore' ? rawValue
+                : type === 'noWeekdays' ? null
+                : Number(rawValue);
+
+            const rule = { id: Date.now(), type: type, value: value, createdAt: new Date().toISOString() };
+            if (!this.validateRule(rule) || (type === 'maxPerDay' && value > 1000) || (type === 'maxSessions' && value > 100)) {
+                this.showMessage('Please enter a valid value for this rule.', 'error');
                 return;
             }
 
-            // Get random suggestions (3 from each category)
-            const oralSuggestions = this.getRandomSuggestions(this.getOralFixationAlternatives(), 3);
-            const generalSuggestions = this.getRandomSuggestions(this.getGeneralAlternatives(), 3);
+            const rules = this.goals.rules || [];
+            if (rules.some(existing => existing.type === type)) {
+                this.showMessage('You already have this kind of rule. Delete it first to change it.', 'error');
+                return;
+            }
 
-            // Render oral fixation alternatives
-            oralContainer.innerHTML = oralSuggestions.map(suggestion => 
-                this.createSuggestionHTML(suggestion, 'oral')
-            ).join('');
+            this.goals = { ...this.goals, rules: [...rules, rule] };
+            this.saveGoals();
 
-            // Render general alternatives
-            generalContainer.innerHTML = generalSuggestions.map(suggestion => 
-                this.createSuggestionHTML(suggestion, 'general')
-            ).join('');
+            document.getElementById('ruleForm').reset();
+            this.updateRuleValueField();
+            this.renderRules();
+            this.updateRuleCompliance();
+            this.showMessage('Rule added.', 'success');
         } catch (error) {
-            console.error('Error rendering alternatives:', error);
-            // Don't show error message for alternatives as it's not critical
+            console.error('Error adding rule:', error);
+            this.showMessage('Failed to add rule. Please try again.', 'error');
         }
     }
 
-    getRandomSuggestions(suggestions, count) {
-        const shuffled = [...suggestions].sort(() => 0.5 - Math.random());
-        return shuffled.slice(0, count);
-    }
-
-    createSuggestionHTML(suggestion, category) {
-        const isTried = this.alternatives.triedItems.includes(`${category}-${suggestion.title}`);
-        const triedClass = isTried ? ' tried' : '';
-        
-        return `
-            <div class="suggestion-item${triedClass}" 
-                 onclick="tracker.markSuggestionAsTried('${category}-${suggestion.title}')">
-                <i class="${suggestion.icon} suggestion-icon"></i>
-                <h4>${suggestion.title}</h4>
-                <p>${suggestion.description}</p>
-            </div>
-        `;
-    }
-
-    markSuggestionAsTried(suggestionId) {
-        if (!this.alternatives.triedItems.includes(suggestionId)) {
-            this.alternatives.triedItems.push(suggestionId);
-            this.saveAlternatives();
-            this.renderAlternatives();
-            this.showMessage('Great job trying an alternative!', 'success');
+    deleteRule(id) {
+        const rule = (this.goals.rules || []).find(item => item.id === id);
+        if (!rule) {
+            this.showMessage('Rule not found.', 'error');
+            return;
         }
-    }
 
-    refreshAlternatives() {
-        this.alternatives.lastRefresh = new Date().toISOString();
-        this.saveAlternatives();
-        this.renderAlternatives();
-        this.showMessage('New suggestions loaded!', 'success');
+        this.showConfirmModal(`Delete the rule "${this.getRuleLabel(rule)}"?`, () => {
+            const before = this.captureUndoState();
+            this.goals = { ...this.goals, rules: this.goals.rules.filter(item => item.id !== id) };
+            this.recordUndo('Delete rule', before);
+            this.saveGoals();
+
+            this.renderRules();
+            this.updateRuleCompliance();
+            this.showMessage('Rule deleted.', 'success', this.getUndoToastAction());
+        });
     }
 
-    markAsTried() {
-        this.showMessage('Select a specific suggestion to mark it as tried!', 'success');
+    renderRules() {
+        const list = document.getElementById('ruleList');
+        if (!list) return;
+
+        const rules = this.goals.rules || [];
+        if (rules.length === 0) {
+            list.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-clipboard-list"></i>
+                    <h3>No rules yet</h3>
+                    <p>Entries are checked against your rules before they are saved</p>
+                </div>
+            `;
+            return;
+        }
+
+        list.innerHTML = rules.map(rule => `
+            <div class="entry-item">
+                <div class="entry-info">
+                    <div class="entry-header">
+                        <span class="entry-amount">${this.getRuleLabel(rule)}</span>
+                        <span class="entry-time">since ${new Date(rule.createdAt).toLocaleDateString()}</span>
+                    </div>
+                </div>
+                <div class="entry-actions">
+                    <button class="btn-icon" onclick="tracker.deleteRule(${rule.id})" title="Delete rule">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
     }
 
     // Chart Management with Error Handling
@@ -1630,6 +7157,12 @@ class WeedTracker {
             this.createDailyChart();
             this.createTimeChart();
             this.createMethodChart();
+            this.createTagChart();
+            this.createTriggerChart();
+            this.createSocialChart();
+            this.createCravingIntensityChart();
+            this.createCravingWeeklyChart();
+            this.createTaperChart();
         } catch (error) {
             console.error('Error initializing charts:', error);
             this.showMessage('Failed to initialize charts. Some visualizations may not work.', 'error');
@@ -1638,20 +7171,7 @@ class WeedTracker {
 
     refreshGraphs() {
         try {
-            // Destroy existing charts
-            Object.values(this.charts).forEach(chart => {
-                if (chart && typeof chart.destroy === 'function') {
-                    try {
-                        chart.destroy();
-                    } catch (error) {
-                        console.error('Error destroying chart:', error);
-                    }
-                }
-            });
-            this.charts = {};
-            
-            // Recreate charts with fresh data
-            this.initializeCharts();
+            this.rebuildCharts();
             this.showMessage('Graphs refreshed successfully!', 'success');
         } catch (error) {
             console.error('Error refreshing graphs:', error);
@@ -1659,6 +7179,41 @@ class WeedTracker {
         }
     }
 
+    // Recreate every chart from the current entries
+    rebuildCharts() {
+        // Destroy existing charts
+        Object.values(this.charts).forEach(chart => {
+            if (chart && typeof chart.destroy === 'function') {
+                try {
+                    chart.destroy();
+                } catch (error) {
+                    console.error('Error destroying chart:', error);
+                }
+            }
+        });
+        this.charts = {};
+
+        // Recreate charts with fresh data
+        this.initializeCharts();
+    }
+
+    // Recreate the expanded view charts, which follow the entry filter
+    updateExpandedCharts() {
+        ['daily', 'time', 'method', 'tag', 'trigger', 'social'].forEach(name => {
+            if (this.charts[name]) {
+                this.charts[name].destroy();
+                delete this.charts[name];
+            }
+        });
+
+        this.createDailyChart();
+        this.createTimeChart();
+        this.createMethodChart();
+        this.createTagChart();
+        this.createTriggerChart();
+        this.createSocialChart();
+    }
+
     cycleChartView() {
         this.currentChartIndex = (this.currentChartIndex + 1) % 3;
         this.updateCompactChart();
@@ -1747,7 +7302,7 @@ class WeedTracker {
         const ctx = document.getElementById('dailyChart');
         if (!ctx) return;
 
-        const data = this.getDailyData();
+        const data = this.getDailyData(this.getFilteredEntries());
         const colors = this.getChartColors();
         
         this.charts.daily = new Chart(ctx, {
@@ -1789,8 +7344,8 @@ class WeedTracker {
                                 const date = new Date(point.parsed.x);
                                 return date.toLocaleString();
                             },
-                            label: function(context) {
-                                return `Amount: ${context.parsed.y}g`;
+                            label: (context) => {
+                                return `Amount: ${this.formatDose(context.parsed.y)}`;
                             }
                         }
                     }
@@ -1831,7 +7386,7 @@ class WeedTracker {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: 'Amount (g)'
+                            text: this.getDoseAxisLabel()
                         },
                         grid: {
                             display: true,
@@ -1849,37 +7404,309 @@ class WeedTracker {
         });
     }
 
-    createTimeChart() {
-        const ctx = document.getElementById('timeChart');
-        if (!ctx) return;
+    createTimeChart() {
+        const ctx = document.getElementById('timeChart');
+        if (!ctx) return;
+
+        const data = this.getTimeOfDayData(this.getFilteredEntries());
+        const colors = this.getChartColors();
+        
+        this.charts.time = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: data.labels,
+                datasets: [{
+                    label: 'Usage Frequency',
+                    data: data.values,
+                    backgroundColor: [
+                        colors.primary + 'CC',
+                        colors.danger + 'CC',
+                        colors.success + 'CC',
+                        colors.warning + 'CC',
+                        colors.accent + 'CC',
+                        colors.info + 'CC'
+                    ],
+                    borderColor: [
+                        colors.primary,
+                        colors.danger,
+                        colors.success,
+                        colors.warning,
+                        colors.accent,
+                        colors.info
+                    ],
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Number of Entries'
+                        }
+                    }
+                }
+            }
+        });
+        
+        // Add click event listener to cycle through chart views
+        ctx.addEventListener('click', () => {
+            this.cycleChartView();
+        });
+    }
+
+    createMethodChart() {
+        const ctx = document.getElementById('methodChart');
+        if (!ctx) return;
+
+        const data = this.getMethodData(this.getFilteredEntries());
+        const colors = this.getChartColors();
+        
+        this.charts.method = new Chart(ctx, {
+            type: 'doughnut',
+            data: {
+                labels: data.labels,
+                datasets: [{
+                    data: data.values,
+                    backgroundColor: [
+                        colors.primary,
+                        colors.danger,
+                        colors.success,
+                        colors.warning,
+                        colors.accent,
+                        colors.info,
+                        colors.secondary
+                    ],
+                    borderWidth: 2,
+                    borderColor: colors.background
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                }
+            }
+        });
+        
+        // Add click event listener to cycle through chart views
+        ctx.addEventListener('click', () => {
+            this.cycleChartView();
+        });
+    }
+
+    createTagChart() {
+        const ctx = document.getElementById('tagChart');
+        if (!ctx) return;
+
+        const data = this.getTagData(this.getFilteredEntries());
+        const colors = this.getChartColors();
+
+        this.charts.tag = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: data.labels,
+                datasets: [{
+                    label: 'Entries',
+                    data: data.counts,
+                    backgroundColor: colors.primary + 'CC',
+                    borderColor: colors.primary,
+                    borderWidth: 1
+                }, {
+                    label: this.getDoseUnit() === 'thc' ? 'mg THC' : 'Grams',
+                    data: data.amounts,
+                    backgroundColor: colors.warning + 'CC',
+                    borderColor: colors.warning,
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
+    createTriggerChart() {
+        const ctx = document.getElementById('triggerChart');
+        if (!ctx) return;
+
+        const data = this.getTriggerData(this.getFilteredEntries());
+        this.charts.trigger = new Chart(ctx, this.getBreakdownDoughnutConfig(data));
+    }
+
+    createSocialChart() {
+        const ctx = document.getElementById('socialChart');
+        if (!ctx) return;
+
+        const data = this.getSocialData(this.getFilteredEntries());
+        this.charts.social = new Chart(ctx, this.getBreakdownDoughnutConfig(data));
+    }
+
+    createCravingIntensityChart() {
+        const ctx = document.getElementById('cravingIntensityChart');
+        if (!ctx) return;
+
+        const data = this.getCravingIntensityData();
+        const colors = this.getChartColors();
+
+        this.charts.cravingIntensity = new Chart(ctx, {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Resisted',
+                    data: data.resisted,
+                    borderColor: colors.success,
+                    backgroundColor: colors.success,
+                    showLine: false,
+                    pointRadius: 5
+                }, {
+                    label: 'Gave in',
+                    data: data.gaveIn,
+                    borderColor: colors.danger,
+                    backgroundColor: colors.danger,
+                    showLine: false,
+                    pointRadius: 5
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        time: {
+                            unit: 'day'
+                        },
+                        title: {
+                            display: true,
+                            text: 'Last 30 Days'
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    },
+                    y: {
+                        min: 0,
+                        max: 10,
+                        title: {
+                            display: true,
+                            text: 'Intensity'
+                        },
+                        grid: {
+                            color: colors.grid
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createCravingWeeklyChart() {
+        const ctx = document.getElementById('cravingWeeklyChart');
+        if (!ctx) return;
+
+        const data = this.getCravingWeeklyData();
+        const colors = this.getChartColors();
+
+        this.charts.cravingWeekly = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: data.labels,
+                datasets: [{
+                    label: 'Resisted',
+                    data: data.resisted,
+                    backgroundColor: colors.success + 'CC',
+                    borderColor: colors.success,
+                    borderWidth: 1
+                }, {
+                    label: 'Gave in',
+                    data: data.gaveIn,
+                    backgroundColor: colors.danger + 'CC',
+                    borderColor: colors.danger,
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                },
+                scales: {
+                    x: {
+                        stacked: true
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        ticks: {
+                            precision: 0
+                        },
+                        title: {
+                            display: true,
+                            text: 'Cravings'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    createTaperChart() {
+        const ctx = document.getElementById('taperChart');
+        if (!ctx || !this.goals.taper) return;
 
-        const data = this.getTimeOfDayData();
+        const data = this.getTaperChartData();
         const colors = this.getChartColors();
-        
-        this.charts.time = new Chart(ctx, {
+
+        this.charts.taper = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: data.labels,
                 datasets: [{
-                    label: 'Usage Frequency',
-                    data: data.values,
-                    backgroundColor: [
-                        colors.primary + 'CC',
-                        colors.danger + 'CC',
-                        colors.success + 'CC',
-                        colors.warning + 'CC',
-                        colors.accent + 'CC',
-                        colors.info + 'CC'
-                    ],
-                    borderColor: [
-                        colors.primary,
-                        colors.danger,
-                        colors.success,
-                        colors.warning,
-                        colors.accent,
-                        colors.info
-                    ],
-                    borderWidth: 1
+                    type: 'line',
+                    label: 'Plan',
+                    data: data.planned,
+                    borderColor: colors.primary,
+                    backgroundColor: colors.primary,
+                    borderWidth: 2,
+                    stepped: true,
+                    pointRadius: 3
+                }, {
+                    label: 'Actual',
+                    data: data.actual,
+                    backgroundColor: data.missed.map(missed => (missed ? colors.danger : colors.secondary) + 'CC'),
+                    borderWidth: 0
                 }]
             },
             options: {
@@ -1887,7 +7714,12 @@ class WeedTracker {
                 maintainAspectRatio: false,
                 plugins: {
                     legend: {
-                        display: false
+                        position: 'bottom'
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${this.formatDose(context.parsed.y, this.goals.taper.unit)}`
+                        }
                     }
                 },
                 scales: {
@@ -1895,27 +7727,38 @@ class WeedTracker {
                         beginAtZero: true,
                         title: {
                             display: true,
-                            text: 'Number of Entries'
+                            text: this.goals.taper.unit === 'thc' ? 'THC (mg)' : 'Amount (g)'
                         }
                     }
                 }
             }
         });
-        
-        // Add click event listener to cycle through chart views
-        ctx.addEventListener('click', () => {
-            this.cycleChartView();
-        });
     }
 
-    createMethodChart() {
-        const ctx = document.getElementById('methodChart');
-        if (!ctx) return;
+    updateTaperChart() {
+        if (this.charts.taper) {
+            this.charts.taper.destroy();
+            delete this.charts.taper;
+        }
 
-        const data = this.getMethodData();
+        this.createTaperChart();
+    }
+
+    updateCravingCharts() {
+        ['cravingIntensity', 'cravingWeekly'].forEach(name => {
+            if (this.charts[name]) {
+                this.charts[name].destroy();
+                delete this.charts[name];
+            }
+        });
+
+        this.createCravingIntensityChart();
+        this.createCravingWeeklyChart();
+    }
+
+    getBreakdownDoughnutConfig(data) {
         const colors = this.getChartColors();
-        
-        this.charts.method = new Chart(ctx, {
+        return {
             type: 'doughnut',
             data: {
                 labels: data.labels,
@@ -1943,23 +7786,18 @@ class WeedTracker {
                     }
                 }
             }
-        });
-        
-        // Add click event listener to cycle through chart views
-        ctx.addEventListener('click', () => {
-            this.cycleChartView();
-        });
+        };
     }
 
 
 
     // Data preparation methods for charts
-    getDailyData() {
+    getDailyData(entries = this.entries) {
         const now = new Date();
         const fortyEightHoursAgo = new Date(now.getTime() - 48 * 60 * 60 * 1000);
         
         // Filter entries from last 48 hours and sort by consumption timestamp
-        const recentEntries = this.entries
+        const recentEntries = entries
             .filter(entry => {
                 const entryDate = new Date(entry.timestamp);
                 return entryDate >= fortyEightHoursAgo && entryDate <= now;
@@ -1969,7 +7807,7 @@ class WeedTracker {
         // Convert to scatter plot data points
         const points = recentEntries.map(entry => ({
             x: new Date(entry.timestamp),
-            y: entry.amount
+            y: this.roundDose(this.getEntryDose(entry))
         }));
         
         // If no data, show empty chart
@@ -1997,7 +7835,7 @@ class WeedTracker {
                 return entryDate >= weekStart && entryDate < weekEnd;
             });
             
-            const weekAmount = weekEntries.reduce((sum, entry) => sum + entry.amount, 0);
+            const weekAmount = this.roundDose(this.sumDoses(weekEntries));
             const weekCount = weekEntries.length;
             
             weeks.push(`Week ${8-i}`);
@@ -2017,7 +7855,7 @@ class WeedTracker {
         return { labels: weeks, amounts, counts };
     }
 
-    getTimeOfDayData() {
+    getTimeOfDayData(entries = this.entries) {
         const timeSlots = [
             'Early AM (12-6)',
             'Morning (6-12)',
@@ -2026,7 +7864,7 @@ class WeedTracker {
         ];
         const counts = [0, 0, 0, 0];
         
-        this.entries.forEach(entry => {
+        entries.forEach(entry => {
             const hour = new Date(entry.timestamp).getHours();
             if (hour >= 0 && hour < 6) counts[0]++;
             else if (hour >= 6 && hour < 12) counts[1]++;
@@ -2042,10 +7880,10 @@ class WeedTracker {
         return { labels: timeSlots, values: counts };
     }
 
-    getMethodData() {
+    getMethodData(entries = this.entries) {
         const methodCounts = {};
         
-        this.entries.forEach(entry => {
+        entries.forEach(entry => {
             methodCounts[entry.method] = (methodCounts[entry.method] || 0) + 1;
         });
         
@@ -2063,6 +7901,116 @@ class WeedTracker {
         return { labels, values };
     }
 
+    // Top 10 tags by number of entries
+    getTagData(entries = this.entries) {
+        const totals = {};
+
+        entries.forEach(entry => {
+            (entry.tags || []).forEach(tag => {
+                totals[tag] = totals[tag] || { count: 0, amount: 0 };
+                totals[tag].count++;
+                totals[tag].amount += this.getEntryDose(entry);
+            });
+        });
+
+        const tags = Object.keys(totals).sort((a, b) => totals[b].count - totals[a].count).slice(0, 10);
+        if (tags.length === 0) {
+            return { labels: ['No tags yet'], counts: [0], amounts: [0] };
+        }
+
+        return {
+            labels: tags.map(tag => `#${tag}`),
+            counts: tags.map(tag => totals[tag].count),
+            amounts: tags.map(tag => this.roundDose(totals[tag].amount))
+        };
+    }
+
+    getTriggerData(entries = this.entries) {
+        return this.getBreakdownData(entries, entry => entry.trigger, trigger => this.getTriggerLabel(trigger));
+    }
+
+    getSocialData(entries = this.entries) {
+        return this.getBreakdownData(entries, entry => entry.social, social => this.getSocialLabel(social));
+    }
+
+    // Count entries per value of one field, skipping entries without it
+    getBreakdownData(entries, getValue, getLabel) {
+        const counts = {};
+
+        entries.forEach(entry => {
+            const value = getValue(entry);
+            if (value) {
+                counts[value] = (counts[value] || 0) + 1;
+            }
+        });
+
+        if (Object.keys(counts).length === 0) {
+            return { labels: ['No data yet'], values: [1] };
+        }
+
+        return {
+            labels: Object.keys(counts).map(getLabel),
+            values: Object.values(counts)
+        };
+    }
+
+    getCravingIntensityData() {
+        const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const points = this.cravings
+            .filter(craving => new Date(craving.timestamp) >= thirtyDaysAgo)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        const toPoint = craving => ({ x: new Date(craving.timestamp), y: craving.intensity });
+        return {
+            resisted: points.filter(craving => !craving.gaveIn).map(toPoint),
+            gaveIn: points.filter(craving => craving.gaveIn).map(toPoint)
+        };
+    }
+
+    // Planned amount for each week of the taper plan next to what was actually used so far
+    getTaperChartData() {
+        const taper = this.goals.taper;
+        const currentWeek = this.getTaperWeekIndex(taper);
+        const labels = [];
+        const planned = [];
+        const actual = [];
+        const missed = [];
+
+        taper.schedule.forEach((amount, week) => {
+            labels.push(`Week ${week + 1}`);
+            planned.push(amount);
+            actual.push(week <= currentWeek ? this.roundDose(this.getTaperWeekUsage(taper, week), taper.unit) : null);
+            missed.push(taper.missedWeeks.includes(week));
+        });
+
+        return { labels, planned, actual, missed };
+    }
+
+    // Same week boundaries as getWeeklyData
+    getCravingWeeklyData() {
+        const labels = [];
+        const resisted = [];
+        const gaveIn = [];
+
+        for (let i = 7; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - (i * 7));
+            const weekStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+            const weekEnd = new Date(weekStart.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+            const weekCravings = this.cravings.filter(craving => {
+                const time = new Date(craving.timestamp);
+                return time >= weekStart && time < weekEnd;
+            });
+
+            labels.push(`Week ${8 - i}`);
+            resisted.push(weekCravings.filter(craving => !craving.gaveIn).length);
+            gaveIn.push(weekCravings.filter(craving => craving.gaveIn).length);
+        }
+
+        return { labels, resisted, gaveIn };
+    }
+
 
 
     // Compact chart configurations
@@ -2108,8 +8056,8 @@ class WeedTracker {
                                 const date = new Date(point.parsed.x);
                                 return date.toLocaleString();
                             },
-                            label: function(context) {
-                                return `Amount: ${context.parsed.y}g`;
+                            label: (context) => {
+                                return `Amount: ${this.formatDose(context.parsed.y)}`;
                             }
                         }
                     }
@@ -2254,11 +8202,27 @@ function resetGoal() {
     }
 }
 
-function toggleGoalFields() {
-    if (tracker && typeof tracker.toggleGoalFields === 'function') {
-        tracker.toggleGoalFields();
+function openSecurityModal() {
+    if (tracker && typeof tracker.openSecurityModal === 'function') {
+        tracker.openSecurityModal();
     } else {
-        console.error('Tracker not initialized or toggleGoalFields not available');
+        console.error('Tracker not initialized or openSecurityModal not available');
+    }
+}
+
+function closeSecurityModal() {
+    if (tracker && typeof tracker.closeSecurityModal === 'function') {
+        tracker.closeSecurityModal();
+    } else {
+        console.error('Tracker not initialized or closeSecurityModal not available');
+    }
+}
+
+function disableEncryption() {
+    if (tracker && typeof tracker.disableEncryption === 'function') {
+        tracker.disableEncryption();
+    } else {
+        console.error('Tracker not initialized or disableEncryption not available');
     }
 }
 
@@ -2278,6 +8242,238 @@ function exportData() {
     }
 }
 
+function exportEncryptedData() {
+    if (tracker && typeof tracker.exportEncryptedData === 'function') {
+        tracker.exportEncryptedData();
+    } else {
+        console.error('Tracker not initialized or exportEncryptedData not available');
+    }
+}
+
+function openRuleModal() {
+    if (tracker && typeof tracker.openRuleModal === 'function') {
+        tracker.openRuleModal();
+    } else {
+        console.error('Tracker not initialized or openRuleModal not available');
+    }
+}
+
+function closeRuleModal() {
+    if (tracker && typeof tracker.closeRuleModal === 'function') {
+        tracker.closeRuleModal();
+    } else {
+        console.error('Tracker not initialized or closeRuleModal not available');
+    }
+}
+
+function openBreakModal() {
+    if (tracker && typeof tracker.openBreakModal === 'function') {
+        tracker.openBreakModal();
+    } else {
+        console.error('Tracker not initialized or openBreakModal not available');
+    }
+}
+
+function closeBreakModal() {
+    if (tracker && typeof tracker.closeBreakModal === 'function') {
+        tracker.closeBreakModal();
+    } else {
+        console.error('Tracker not initialized or closeBreakModal not available');
+    }
+}
+
+function openStashModal() {
+    if (tracker && typeof tracker.openStashModal === 'function') {
+        tracker.openStashModal();
+    } else {
+        console.error('Tracker not initialized or openStashModal not available');
+    }
+}
+
+function closeStashModal() {
+    if (tracker && typeof tracker.closeStashModal === 'function') {
+        tracker.closeStashModal();
+    } else {
+        console.error('Tracker not initialized or closeStashModal not available');
+    }
+}
+
+function openTaperModal() {
+    if (tracker && typeof tracker.openTaperModal === 'function') {
+        tracker.openTaperModal();
+    } else {
+        console.error('Tracker not initialized or openTaperModal not available');
+    }
+}
+
+function closeTaperModal() {
+    if (tracker && typeof tracker.closeTaperModal === 'function') {
+        tracker.closeTaperModal();
+    } else {
+        console.error('Tracker not initialized or closeTaperModal not available');
+    }
+}
+
+function stopTaperPlan() {
+    if (tracker && typeof tracker.stopTaperPlan === 'function') {
+        tracker.stopTaperPlan();
+    } else {
+        console.error('Tracker not initialized or stopTaperPlan not available');
+    }
+}
+
+function openPurchaseModal() {
+    if (tracker && typeof tracker.openPurchaseModal === 'function') {
+        tracker.openPurchaseModal();
+    } else {
+        console.error('Tracker not initialized or openPurchaseModal not available');
+    }
+}
+
+function closePurchaseModal() {
+    if (tracker && typeof tracker.closePurchaseModal === 'function') {
+        tracker.closePurchaseModal();
+    } else {
+        console.error('Tracker not initialized or closePurchaseModal not available');
+    }
+}
+
+function openCravingModal() {
+    if (tracker && typeof tracker.openCravingModal === 'function') {
+        tracker.openCravingModal();
+    } else {
+        console.error('Tracker not initialized or openCravingModal not available');
+    }
+}
+
+function closeCravingModal() {
+    if (tracker && typeof tracker.closeCravingModal === 'function') {
+        tracker.closeCravingModal();
+    } else {
+        console.error('Tracker not initialized or closeCravingModal not available');
+    }
+}
+
+function openSettingsModal() {
+    if (tracker && typeof tracker.openSettingsModal === 'function') {
+        tracker.openSettingsModal();
+    } else {
+        console.error('Tracker not initialized or openSettingsModal not available');
+    }
+}
+
+function closeSettingsModal() {
+    if (tracker && typeof tracker.closeSettingsModal === 'function') {
+        tracker.closeSettingsModal();
+    } else {
+        console.error('Tracker not initialized or closeSettingsModal not available');
+    }
+}
+
+function openDoseModal() {
+    if (tracker && typeof tracker.openDoseModal === 'function') {
+        tracker.openDoseModal();
+    } else {
+        console.error('Tracker not initialized or openDoseModal not available');
+    }
+}
+
+function closeDoseModal() {
+    if (tracker && typeof tracker.closeDoseModal === 'function') {
+        tracker.closeDoseModal();
+    } else {
+        console.error('Tracker not initialized or closeDoseModal not available');
+    }
+}
+
+function openProductModal() {
+    if (tracker && typeof tracker.openProductModal === 'function') {
+        tracker.openProductModal();
+    } else {
+        console.error('Tracker not initialized or openProductModal not available');
+    }
+}
+
+function closeProductModal() {
+    if (tracker && typeof tracker.closeProductModal === 'function') {
+        tracker.closeProductModal();
+    } else {
+        console.error('Tracker not initialized or closeProductModal not available');
+    }
+}
+
+function toggleFilterBar() {
+    if (tracker && typeof tracker.toggleFilterBar === 'function') {
+        tracker.toggleFilterBar();
+    } else {
+        console.error('Tracker not initialized or toggleFilterBar not available');
+    }
+}
+
+function clearFilters() {
+    if (tracker && typeof tracker.clearFilters === 'function') {
+        tracker.clearFilters();
+    } else {
+        console.error('Tracker not initialized or clearFilters not available');
+    }
+}
+
+function openHistoryModal() {
+    if (tracker && typeof tracker.openHistoryModal === 'function') {
+        tracker.openHistoryModal();
+    } else {
+        console.error('Tracker not initialized or openHistoryModal not available');
+    }
+}
+
+function closeHistoryModal() {
+    if (tracker && typeof tracker.closeHistoryModal === 'function') {
+        tracker.closeHistoryModal();
+    } else {
+        console.error('Tracker not initialized or closeHistoryModal not available');
+    }
+}
+
+function changeHistoryPage(delta) {
+    if (tracker && typeof tracker.changeHistoryPage === 'function') {
+        tracker.changeHistoryPage(delta);
+    } else {
+        console.error('Tracker not initialized or changeHistoryPage not available');
+    }
+}
+
+function cancelEditEntry() {
+    if (tracker && typeof tracker.cancelEditEntry === 'function') {
+        tracker.cancelEditEntry();
+    } else {
+        console.error('Tracker not initialized or cancelEditEntry not available');
+    }
+}
+
+function exportCSV() {
+    if (tracker && typeof tracker.exportCSV === 'function') {
+        tracker.exportCSV();
+    } else {
+        console.error('Tracker not initialized or exportCSV not available');
+    }
+}
+
+function closeCsvMappingModal() {
+    if (tracker && typeof tracker.closeCsvMappingModal === 'function') {
+        tracker.closeCsvMappingModal();
+    } else {
+        console.error('Tracker not initialized or closeCsvMappingModal not available');
+    }
+}
+
+function closePasswordModal() {
+    if (tracker && typeof tracker.closePasswordModal === 'function') {
+        tracker.closePasswordModal();
+    } else {
+        console.error('Tracker not initialized or closePasswordModal not available');
+    }
+}
+
 function importData() {
     if (tracker && typeof tracker.importData === 'function') {
         tracker.importData();
@@ -2286,6 +8482,46 @@ function importData() {
     }
 }
 
+function toggleImportFields() {
+    if (tracker && typeof tracker.toggleImportFields === 'function') {
+        tracker.toggleImportFields();
+    } else {
+        console.error('Tracker not initialized or toggleImportFields not available');
+    }
+}
+
+function closeImportModal() {
+    if (tracker && typeof tracker.closeImportModal === 'function') {
+        tracker.closeImportModal();
+    } else {
+        console.error('Tracker not initialized or closeImportModal not available');
+    }
+}
+
+function openBackupModal() {
+    if (tracker && typeof tracker.openBackupModal === 'function') {
+        tracker.openBackupModal();
+    } else {
+        console.error('Tracker not initialized or openBackupModal not available');
+    }
+}
+
+function closeBackupModal() {
+    if (tracker && typeof tracker.closeBackupModal === 'function') {
+        tracker.closeBackupModal();
+    } else {
+        console.error('Tracker not initialized or closeBackupModal not available');
+    }
+}
+
+function createManualBackup() {
+    if (tracker && typeof tracker.createManualBackup === 'function') {
+        tracker.createManualBackup();
+    } else {
+        console.error('Tracker not initialized or createManualBackup not available');
+    }
+}
+
 function clearData() {
     if (tracker && typeof tracker.clearData === 'function') {
         tracker.clearData();